@@ -12,7 +12,8 @@
    *   (NO moving of nodes, NO cloning of native cards, so Angular behaviour remains intact).
    *
    * Key engineering hurdles we overcame:
-   * 1) SPA/Angular re-renders: the grid can rebuild at any time; we use a MutationObserver + idempotent injection.
+   * 1) SPA/Angular re-renders: the grid can rebuild at any time; we use a MutationObserver scoped to the grid +
+   *    filters + idempotent injection.
    * 2) Filters: the site filter is driven by Angular state; we make injected cards filterable by writing a
    *    normalized allowance attribute and reading selected options from Material checkbox state.
    * 3) Accordions: cloned Angular components don’t carry Angular click handlers; we wire accordion toggling
@@ -21,42 +22,377 @@
    *    we apply flex-wrap styling to the rows that contain tariff cards (safe + reversible).
    * 5) Filter counts: we DO NOT globally recount (risk of huge numbers/duplicates). We only “+N” the injected cards
    *    onto O2’s existing counts and always derive from stored originals to avoid compounding.
+   * 6) Sort: injected cards are pinned at their placement in the DOM, so price sorts are applied with
+   *    CSS `order` on the flex rows (native nodes still never move).
    */
 
-  const VARIANT_ID = "vm02-variation-v1";
+  const EXPERIMENT_ID = "vm02";
+  // "vm02-<arm>" once the visitor is bucketed (see assignArm); used for logs + analytics
+  let variantId = EXPERIMENT_ID;
 
   const INJECTED_COL_ATTR = "data-vm02-injected-col";
   const INJECTED_ROW_ATTR = "data-vm02-injected-cap";
+  // On a native benefits list whose Angular items are swapped (hidden) for ours
+  const OWN_BENEFITS_ATTR = "data-vm02-benefits";
+  // On a native node hidden behind our patched copy (see writeText)
+  const REPLACED_ATTR = "data-vm02-replaced";
+
+  const PLACEMENTS = ["start", "end", "adjacent", "price"];
 
   const MODAL_ID = "vm02-offer-modal";
   const MODAL_OVERLAY_ID = "vm02-offer-overlay";
+  const MODAL_TITLE_ID = "vm02-offer-modal-title";
 
   const FAIR_USAGE_URL =
     "https://www.o2.co.uk/termsandconditions/mobile/o2-consumer-fair-usage-policy";
 
-  // Tariffs are table-driven; adjust only here if your source table changes.
-  const TARIFFS = {
+  // Theme tokens: every colour / radius / shadow in the injected stylesheet comes from here
+  // (see buildStylesheet), and offers default to `brand`
+  const THEME = {
+    brand: "#953698",
+    onBrand: "#fff",
+    surface: "#fff",
+    text: "#1b1b1b",
+    divider: "rgba(0, 0, 0, 0.08)",
+    tableRule: "#e5e5e5",
+    overlay: "rgba(0, 0, 0, 0.55)",
+    badgeRadius: "8px",
+    modalRadius: "12px",
+    modalShadow: "0 18px 60px rgba(0, 0, 0, 0.25)",
+    drawerShadow: "0 -4px 16px rgba(0, 0, 0, 0.15)",
+    // QA debug panel
+    debugSurface: "rgba(20, 20, 20, 0.92)",
+    debugText: "#e8e8e8",
+    debugAccent: "#c9a0dc",
+    debugRadius: "8px",
+  };
+
+  // Benefits for tariffs (and `benefits: true` patches) without a list of their own
+  const DEFAULT_BENEFITS = [
+    { text: "Roam freely in the EU, up to 25GB" },
+    { text: "Unlimited UK Minutes & texts" },
+  ];
+
+  /**
+   * Tariff tables — one per device (see DEVICES), one key per capacity pill, any number of
+   * capacities.
+   *   "<capacity>": [{ allowance, upfront, monthly, device, airtime }, ...]
+   * - Keys are matched against the selected pill label after normalising ("1 TB" -> "1TB").
+   * - Every entry is validated at boot (see validateTariffConfig): allowance required, prices
+   *   must be non-negative numbers and monthly must equal device + airtime to the penny.
+   *   Bad entries are dropped with a logged reason; a capacity left with no valid tariffs
+   *   (or a pill with no config at all) is never injected, rather than showing wrong prices.
+   * - Optional `benefits` list what the benefits accordion shows (DEFAULT_BENEFITS otherwise):
+   *     [{ text: "Disney+ Basic for 6 months", href: "https://…", icon: "https://…/disney.svg", newTab: true }]
+   *   Only `text` is required; `href` / `icon` must be http(s) or relative URLs; `newTab` opens
+   *   `href` in a new tab.
+   * - Optional `facets` give the tariff a value per O2 filter group besides data (which is its
+   *   allowance), e.g. { contract: "24 months", extras: ["Disney+"] }; see FILTER_FACETS.
+   * - Optional `basket` sends "Choose this plan" into checkout with the tariff selected, either
+   *     { url: "https://…/basket?tariff={tariffId}&device={deviceId}", params: { tariffId, deviceId } }
+   *   or a form post:
+   *     { action: "https://…/basket/add", method: "POST", fields: { tariffId: "…", deviceId: "…" } }
+   *   `{name}` placeholders resolve from params/fields, then capacity/allowance/upfront/monthly.
+   *   Without a basket target the CTA uses CTA_FALLBACK.
+   * - Optional `upfronts` price the tariff for each option of O2's upfront selector:
+   *     { "0": 24.69, "30": 21.36, "100": 18.44 }   (upfront £ -> device £/month)
+   *   It must include the entry's own `upfront` at its `device` price (the default, used when
+   *   the selected upfront isn't listed). Monthly follows as device + airtime.
+   */
+  // Device £/month by upfront for each Galaxy S25 capacity: the same cash price over 36 months
+  const S25_128GB_UPFRONTS = { 0: 22.19, 30: 21.36, 100: 19.42 };
+  const S25_256GB_UPFRONTS = { 0: 23.86, 30: 23.03, 100: 21.09 };
+
+  const GALAXY_S25_TARIFFS = {
     "128GB": [
-      { allowance: "100GB", upfront: 30.0, monthly: 38.31, device: 21.36, airtime: 16.95 },
-      { allowance: "Unlimited", upfront: 30.0, monthly: 45.31, device: 21.36, airtime: 23.95 },
+      {
+        allowance: "100GB", upfront: 30.0, monthly: 38.31, device: 21.36, airtime: 16.95,
+        upfronts: S25_128GB_UPFRONTS,
+      },
+      {
+        allowance: "Unlimited", upfront: 30.0, monthly: 45.31, device: 21.36, airtime: 23.95,
+        upfronts: S25_128GB_UPFRONTS,
+      },
     ],
     "256GB": [
-      { allowance: "75GB", upfront: 30.0, monthly: 48.0, device: 23.03, airtime: 24.97 },
-      { allowance: "Unlimited", upfront: 30.0, monthly: 52.3, device: 23.03, airtime: 29.27 },
+      {
+        allowance: "75GB", upfront: 30.0, monthly: 48.0, device: 23.03, airtime: 24.97,
+        upfronts: S25_256GB_UPFRONTS,
+      },
+      {
+        allowance: "Unlimited", upfront: 30.0, monthly: 52.3, device: 23.03, airtime: 29.27,
+        upfronts: S25_256GB_UPFRONTS,
+      },
+    ],
+  };
+
+  // Arm b's price points for the Galaxy S25: the same plans with £1 off airtime
+  const GALAXY_S25_TARIFFS_B = {
+    "128GB": [
+      {
+        allowance: "100GB", upfront: 30.0, monthly: 37.31, device: 21.36, airtime: 15.95,
+        upfronts: S25_128GB_UPFRONTS,
+      },
+      {
+        allowance: "Unlimited", upfront: 30.0, monthly: 44.31, device: 21.36, airtime: 22.95,
+        upfronts: S25_128GB_UPFRONTS,
+      },
+    ],
+    "256GB": [
+      {
+        allowance: "75GB", upfront: 30.0, monthly: 47.0, device: 23.03, airtime: 23.97,
+        upfronts: S25_256GB_UPFRONTS,
+      },
+      {
+        allowance: "Unlimited", upfront: 30.0, monthly: 51.3, device: 23.03, airtime: 28.27,
+        upfronts: S25_256GB_UPFRONTS,
+      },
+    ],
+  };
+
+  /**
+   * Device catalogue — the product pages the test runs on, one entry per device:
+   * - `path`: location.pathname of the device page
+   * - `product`: must match the product heading (waited for while Angular renders, ~10s max);
+   *   also picks the device when several entries share a path
+   * - `tariffs`: the device's tariff table (schema above)
+   * - `offer`: optional OFFERS id for the device's cards (tariffs and arms can name their own)
+   * O2 moves between devices without a page load; the variation follows history navigation and
+   * activates, swaps tables or deactivates as the device changes (see onRouteChange).
+   */
+  const DEVICES = [
+    {
+      id: "galaxy-s25",
+      path: /^\/shop\/samsung\/galaxy-s25-5g\/?$/,
+      product: /Galaxy S25(?![+\w]|\s*(Ultra|Edge|FE|Plus)\b)/i,
+      tariffs: GALAXY_S25_TARIFFS,
+      offer: "s25-jan",
+    },
+  ];
+
+  // O2's upfront-cost selector: the first container found outside the tariff cards (their own
+  // upfront blocks can match the broader patterns), then its selected option (pills, radios,
+  // toggle buttons or a <select>). The amount is read from the option's text, aria-label or
+  // value ("No upfront" = £0).
+  const UPFRONT_SELECTOR = {
+    containers: ["o2uk-upfront-cost", "[data-qa*='upfront']", "[class*='upfront-selector']"],
+    selected: [
+      ".o2uk-pills__button_selected",
+      ".mat-radio-checked",
+      "[aria-checked='true']",
+      "[aria-pressed='true']",
+      "option:checked",
     ],
   };
 
-  const OFFER_TITLE = "Get the Galaxy S25 for an exclusive low price. Ends 31 January.";
-  const OFFER_PARAS = [
-    "Data allowances must be used within the month and cannot be carried over, unless eligible for data rollover. Subject to availability. Ends 31 January 2026.",
-    "UK calls/texts to standard UK landlines and mobiles and when roaming in our Europe Zone. Europe Zone data only. Fair usage policy applies. Special and out of bundle numbers chargeable.",
-    "O2 Refresh custom plans: Direct purchases only. Pay the cash price for your device or spread the cost over 3 to 36 months (excludes dongles). The device cost will be the same whatever you choose. There may be an upfront cost.",
-    "You can pay off your Device Plan at any time and choose to keep your Airtime Plan, upgrade it, or leave. If you are in the first 24 months of your Device Plan and you cancel your Airtime Plan you will have to pay the remainder of your Device Plan in full. After 24 months you can keep your Airtime Plan, upgrade it, or end it without affecting your Device Plan.",
-    "UK data only. Fair Usage policy applies. Devices are subject to availability. 0% APR. Finance subject to status and credit checks. 18+. Direct Debit. Credit provided by Telefonica UK Ltd, RG2 6UU, UK. Telefonica UK is authorised and regulated by the FCA for consumer credit and insurance.",
+  /**
+   * Price rises, applied in order from each effective date (any number of steps):
+   *   { from: "2026-04-01", flat: 2.5 }  or  { from: "2026-04-01", percent: 3.9 }
+   * Rises uplift airtime only (the device plan is fixed): flat adds pounds, percent compounds on
+   * the current airtime. `label` is optional ("From Apr 2026 bill" is derived from `from`).
+   * A tariff can replace the whole schedule with its own `rises`, and its contract length
+   * (for the total cost) with `contractMonths`.
+   */
+  const PRICE_RISES = [
+    { from: "2026-04-01", flat: 2.5 },
+    { from: "2027-04-01", flat: 2.5 },
+  ];
+  const CONTRACT_MONTHS = 36;
+
+  /**
+   * Offers, referenced by id (`offer: "s25-jan"`) from tariffs, arms (`copy.offer`) and devices.
+   * A tariff without one uses its arm's offer, else its device's (see DEVICES), so offer copy
+   * naming a device never shows on another device's cards. An offer is live from `start` (optional) until `end` (ISO timestamps).
+   * Outside its window a card falls back to that default offer, and hides its OFFER block when
+   * that is not live either. `badgeColour` paints the OFFER block.
+   * QA can move the clock with ?vm02_now=2026-01-15T09:00:00Z or window.vm02.setClock(date).
+   */
+  const OFFERS = {
+    "s25-jan": {
+      title: "Get the Galaxy S25 for an exclusive low price. Ends 31 January.",
+      paras: [
+        "Data allowances must be used within the month and cannot be carried over, unless eligible for data rollover. Subject to availability. Ends 31 January 2026.",
+        "UK calls/texts to standard UK landlines and mobiles and when roaming in our Europe Zone. Europe Zone data only. Fair usage policy applies. Special and out of bundle numbers chargeable.",
+        "O2 Refresh custom plans: Direct purchases only. Pay the cash price for your device or spread the cost over 3 to 36 months (excludes dongles). The device cost will be the same whatever you choose. There may be an upfront cost.",
+        "You can pay off your Device Plan at any time and choose to keep your Airtime Plan, upgrade it, or leave. If you are in the first 24 months of your Device Plan and you cancel your Airtime Plan you will have to pay the remainder of your Device Plan in full. After 24 months you can keep your Airtime Plan, upgrade it, or end it without affecting your Device Plan.",
+        "UK data only. Fair Usage policy applies. Devices are subject to availability. 0% APR. Finance subject to status and credit checks. 18+. Direct Debit. Credit provided by Telefonica UK Ltd, RG2 6UU, UK. Telefonica UK is authorised and regulated by the FCA for consumer credit and insurance.",
+      ],
+      termsUrl: "https://www.o2.co.uk/termsandconditions",
+      badgeColour: THEME.brand,
+      end: "2026-01-31T23:59:59Z",
+    },
+  };
+
+  /**
+   * Experiment arms. Each visitor is bucketed once by a stable hash of a first-party visitor id
+   * (localStorage "vm02_vid") against the arm weights, and the arm is stored in localStorage
+   * "vm02_arm_<EXPERIMENT_ID>" so it survives reloads and later weight changes.
+   * ?vm02_arm=<arm id> forces an arm for QA (not stored).
+   * - `control`: injects nothing, but activation is still tracked
+   * - `tariffs`: optional per-device tables, { "<device id>": table }, to give an arm its own
+   *   price points; devices without one use their DEVICES table
+   * - `placement`: default for the arm's tariffs — "start" / "end" of the grid, "adjacent" to the
+   *   native card with the same allowance, or "price" (slotted in by monthly price). A tariff can
+   *   set its own `placement`.
+   * - `copy`: `badge` text on the card roof, optional `offer` id used when a tariff has none of
+   *   its own (instead of the device's offer)
+   * - `nativePatches`: optional rules that change cards O2 already renders (schema under "Native
+   *   card patches" below); none of the arms here set any
+   */
+  const ARMS = [
+    { id: "control", weight: 34, control: true },
+    {
+      id: "a",
+      weight: 33,
+      placement: "start",
+      copy: { badge: "Online Exclusive" },
+    },
+    {
+      id: "b",
+      weight: 33,
+      placement: "end",
+      copy: { badge: "Web Exclusive" },
+      tariffs: { "galaxy-s25": GALAXY_S25_TARIFFS_B },
+    },
+  ];
+
+  /**
+   * Native card patches (per arm, `nativePatches`). Each rule finds native cards by what O2
+   * rendered and applies our own setters to them:
+   *   {
+   *     id: "unlimited-exclusive",
+   *     capacity: "128GB",                          // optional, any capacity when omitted
+   *     match: { allowance: "Unlimited", monthly: 47.0 }, // either or both
+   *     badge: true,         // roof badge: true = arm badge copy, or a string
+   *     allowance: "Unlimited+", monthly: 44.99, hide: false,
+   *     benefits: true,      // DEFAULT_BENEFITS, or a list (tariff `benefits` schema)
+   *   }
+   * The first matching rule wins. Patches are reverted when the capacity changes and re-applied
+   * when Angular re-renders the card; native nodes are restored exactly as O2 rendered them.
+   */
+
+  /**
+   * Template manifest — every O2 selector the script reads or writes a card through (setters look
+   * theirs up here by id, see cardNode). `required` and `optional` nodes are checked on the
+   * native card we clone before every injection: a missing required node aborts the injection
+   * (the clone would keep the template tariff's figures under our badge); a missing optional one
+   * only loses that part of the card. Results: console, a vm02_template_health event,
+   * window.vm02.health(). An O2 markup change is fixed here and nowhere else.
+   */
+  const TEMPLATE_MANIFEST = {
+    // O2's tariff card component, the grid col around it (most specific pattern first) and the
+    // row of cols: found on the page, not checked on the template
+    card: "o2uk-commercial-tariff-card.tariff-card",
+    col: [".col-lg-4.col-md-4.col-sm-4.col-xs-4", "[class*='col-']"],
+    row: ".row",
+    required: {
+      allowance: ".new-tariff-card-plan-info__allowance > span",
+      upfront: ".new-tariff-price-block__prices_upfront .o2uk-price__amount-integer",
+      upfrontDecimal: ".new-tariff-price-block__prices_upfront .o2uk-price__amount-decimal span",
+      monthly: ".new-tariff-price-block__prices_monthly .o2uk-price__amount-integer",
+      monthlyDecimal: ".new-tariff-price-block__prices_monthly .o2uk-price__amount-decimal span",
+      monthlyScreenReader: ".new-tariff-price-block__prices_monthly .sr-only",
+      breakdown: ".new-tariff-price-block__monthly-cost-amount > div",
+      priceRises: ".new-tariff-price-block__price-rise-container",
+      priceRise: ".new-tariff-price-block__price-rise-container .price-rise-item",
+      choosePlan: "button.tariff-card__add-button",
+    },
+    optional: {
+      roof: ".tariff-card__roof",
+      allowanceBlock: ".new-tariff-card-plan-info__allowance",
+      upfrontScreenReader: ".new-tariff-price-block__prices_upfront .sr-only",
+      offerTitle: ".new-tariff-promo-block-primary__section-title",
+      offer: ".new-tariff-promo-block-primary__container",
+      offerLabel: ".new-tariff-promo-block-primary__title",
+      benefitsHeader: ".mat-expansion-panel-header, o2uk-expansion-panel-header",
+      benefitsLabel: ".o2uk-inline-accordion__text",
+      benefits: ".new-tariff-promo-block-benefits__container",
+      benefitsPanel: ".mat-expansion-panel, o2uk-expansion-panel",
+      benefitsContent: ".mat-expansion-panel-content, .o2uk-expansion-panel-content",
+      benefitsIcon: ".o2uk-panel-icon.o2uk-expansion-indicator",
+    },
+    // On some tariffs only (the fair-usage link under Unlimited), so the template isn't checked
+    conditional: {
+      fairUsageLink: ".new-tariff-card-plan-info__fair-usage-link",
+      benefitItem: ".new-tariff-promo-block-benefits__offer",
+      // "36 month contract": native totals use it, CONTRACT_MONTHS when a card doesn't show one
+      contractLength: ".new-tariff-card-plan-info__contract-length",
+    },
+  };
+  const CARD_SELECTORS = Object.assign(
+    {},
+    TEMPLATE_MANIFEST.required,
+    TEMPLATE_MANIFEST.optional,
+    TEMPLATE_MANIFEST.conditional
+  );
+
+  /**
+   * Guardrails — every tariff is checked against the native cards on the page (read back by
+   * scrapeNativeCard) before it is injected, so an "exclusive" never undercuts itself:
+   * - `check`: "cheaperThanNative" — monthly below the native card(s) with the same allowance,
+   *   by at least `margin` (£, default 0); "sameDeviceCost" — device cost equal to the native
+   *   cards' with the same upfront (to the penny)
+   * - `action`: "skip" leaves the tariff out; "flag" injects it marked data-vm02-guardrail
+   * Either way a console warning and a vm02_guardrail_failed analytics event are sent (once per
+   * tariff and rule per page). A check with nothing to compare against passes. Checks re-run when
+   * the native prices change (see isInjectedFor).
+   */
+  const GUARDRAILS = [
+    { id: "cheaper-than-native", check: "cheaperThanNative", action: "skip" },
+    { id: "same-device-cost", check: "sameDeviceCost", action: "flag" },
   ];
-  const OFFER_TERMS_URL = "https://www.o2.co.uk/termsandconditions";
 
-  const log = (...a) => console.log(`[${VARIANT_ID}]`, ...a);
+  // "Choose this plan" on a tariff without a basket target: "modal" opens the offer modal with
+  // `message` on top; "none" leaves the button inert.
+  const CTA_FALLBACK = {
+    mode: "modal",
+    message: "This online exclusive can’t be added to your basket from this page yet.",
+  };
+
+  /**
+   * Activation rules — all must pass before the variation writes anything to the page:
+   * - the path must be a DEVICES page, and its product heading must render
+   * - `start` / `end`: campaign window (ISO timestamps, either may be null)
+   * - opt-outs: ?vm02=off, localStorage "vm02_off" = "true", or ?optimizely_disable=true
+   * Ops kill switch: set `end` to a past date, or flip the localStorage flag for one browser.
+   */
+  const ACTIVATION = {
+    start: null,
+    end: null,
+    optOutParam: "vm02",
+    optOutStorageKey: "vm02_off",
+    honourOptimizelyDisable: true,
+  };
+
+  // Sinks that receive analytics events: "dataLayer", "optimizely" and/or "memory" (tests/QA).
+  const ANALYTICS_SINKS = ["dataLayer", "optimizely"];
+
+  // Console verbosity: ?vm02_log=<level> or localStorage "vm02_log" (silent|error|warn|info|debug)
+  const LOG_LEVELS = { silent: 0, error: 1, warn: 2, info: 3, debug: 4 };
+  let logLevel = LOG_LEVELS.info;
+
+  function setLogLevel(name) {
+    if (LOG_LEVELS[name] == null) return false;
+    logLevel = LOG_LEVELS[name];
+    return true;
+  }
+
+  const debug = (...a) => logLevel >= LOG_LEVELS.debug && console.debug(`[${variantId}]`, ...a);
+  const log = (...a) => logLevel >= LOG_LEVELS.info && console.log(`[${variantId}]`, ...a);
+  const warn = (...a) => logLevel >= LOG_LEVELS.warn && console.warn(`[${variantId}]`, ...a);
+
+  (function initLogLevel() {
+    let stored = null;
+    try {
+      stored = window.localStorage.getItem("vm02_log");
+    } catch (err) {
+      // storage blocked; query param still works
+    }
+    setLogLevel(new URLSearchParams(window.location.search).get("vm02_log") || stored || "");
+  })();
+
+  // Public namespace (shared with other vm02 snippets on the page)
+  const api = (window.vm02 = window.vm02 || {});
 
   // ---------- utils
   function money2(n) {
@@ -66,6 +402,30 @@
     const [i, d] = money2(n).split(".");
     return { i, d: "." + d };
   }
+  const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+  // "2026-04-01" -> local Date (no UTC shift); null when not a real date
+  function parseDay(s) {
+    const m = String(s || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!m) return null;
+    const d = new Date(+m[1], +m[2] - 1, +m[3]);
+    return d.getMonth() === +m[2] - 1 ? d : null;
+  }
+
+  // Injectable clock (offer windows, contract totals): ?vm02_now=<ISO> or window.vm02.setClock()
+  let clockOverride = null;
+
+  function now() {
+    return clockOverride ? new Date(clockOverride.getTime()) : new Date();
+  }
+
+  function setClock(date) {
+    const d = date == null ? null : new Date(date);
+    clockOverride = d && !isNaN(d) ? d : null;
+  }
+
+  setClock(new URLSearchParams(window.location.search).get("vm02_now"));
+
   function normAllowance(s) {
     return String(s || "")
       .replace(/\s+/g, "")
@@ -73,552 +433,2811 @@
       .toUpperCase();
   }
 
-  function getSelectedCapacity() {
-    const selected = document.querySelector(
-      "o2uk-pills .o2uk-pills__button_selected .o2uk-pills__label"
-    );
-    const txt = selected ? selected.textContent.trim() : "";
-    if (txt === "128GB" || txt === "256GB") return txt;
+  // "128 GB", "128gb", "1TB storage" -> "128GB" / "1TB"; "" when no capacity token is present
+  function normCapacity(s) {
+    const m = String(s || "")
+      .replace(/\s+/g, "")
+      .toUpperCase()
+      .match(/(\d+(?:\.\d+)?)(GB|TB)/);
+    return m ? m[1] + m[2] : "";
+  }
 
-    const btn = document.querySelector("o2uk-pills .o2uk-pills__button_selected");
-    const aria = btn ? btn.getAttribute("aria-label") || "" : "";
-    if (aria.includes("128GB")) return "128GB";
-    if (aria.includes("256GB")) return "256GB";
-    return "128GB";
+  // ---------- Tariff config validation (runs once at boot)
+  const PENNY = 0.005;
+
+  function isPrice(n) {
+    return typeof n === "number" && isFinite(n) && n >= 0;
   }
 
-  // ---------- CSS: flex-wrap row fix (safe, no DOM moves)
-  function ensureFlexFixCSS() {
-    if (document.getElementById("vm02-flexfix-style")) return;
-    const style = document.createElement("style");
-    style.id = "vm02-flexfix-style";
-    style.textContent = `
-      /* Pack visible cards tightly when some are display:none */
-      .vm02-flex-row {
-        display: flex !important;
-        flex-wrap: wrap !important;
+  function validateTariff(t) {
+    const reasons = [];
+    if (!t || typeof t !== "object") return ["entry is not an object"];
+
+    if (typeof t.allowance !== "string" || !t.allowance.trim()) reasons.push("missing allowance");
+    ["upfront", "monthly", "device", "airtime"].forEach((k) => {
+      if (!isPrice(t[k])) reasons.push(`${k} must be a non-negative number (got ${t[k]})`);
+    });
+    if (t.offer != null && !OFFER_CONFIG[t.offer]) reasons.push(`unknown offer "${t.offer}"`);
+    if (t.facets != null) reasons.push(...validateFacets(t.facets));
+    if (t.benefits != null) reasons.push(...validateBenefits(t.benefits));
+    if (t.placement != null && !PLACEMENTS.includes(t.placement)) {
+      reasons.push(`placement must be one of ${PLACEMENTS.join(" / ")}`);
+    }
+    if (t.basket != null) reasons.push(...validateBasket(t.basket));
+    if (t.rises != null) reasons.push(...validateRises(t.rises));
+    if (t.upfronts != null) reasons.push(...validateUpfronts(t));
+    if (t.contractMonths != null && !(Number.isInteger(t.contractMonths) && t.contractMonths > 0)) {
+      reasons.push(`contractMonths must be a positive whole number (got ${t.contractMonths})`);
+    }
+    if (isPrice(t.monthly) && isPrice(t.device) && isPrice(t.airtime)) {
+      if (Math.abs(t.monthly - (t.device + t.airtime)) > PENNY) {
+        reasons.push(
+          `monthly £${money2(t.monthly)} != device £${money2(t.device)} + airtime £${money2(t.airtime)}`
+        );
       }
-      .vm02-flex-row:before,
-      .vm02-flex-row:after {
-        display: none !important;
-        content: none !important;
+    }
+    return reasons;
+  }
+
+  function validateRises(rises) {
+    if (!Array.isArray(rises)) return ["rises must be an array"];
+    const reasons = [];
+    rises.forEach((r, idx) => {
+      if (!r || !parseDay(r.from)) reasons.push(`rises[${idx}] needs a from date (YYYY-MM-DD)`);
+      const hasFlat = r && r.flat != null;
+      const hasPct = r && r.percent != null;
+      if (hasFlat === hasPct) reasons.push(`rises[${idx}] needs exactly one of flat / percent`);
+      else if (!isPrice(hasFlat ? r.flat : r.percent)) {
+        reasons.push(`rises[${idx}] uplift must be a non-negative number`);
       }
-      /* Defensive: if legacy float layout exists, flex will override; avoid float weirdness */
-      .vm02-flex-row > [class*="col-"] {
-        float: none !important;
+    });
+    return reasons;
+  }
+
+  function validateUpfronts(t) {
+    const m = t.upfronts;
+    if (!m || typeof m !== "object" || Array.isArray(m) || !Object.keys(m).length) {
+      return ["upfronts must map at least one upfront to a device price"];
+    }
+    const reasons = [];
+    Object.keys(m).forEach((k) => {
+      if (!/^\d+(\.\d{1,2})?$/.test(k)) reasons.push(`upfronts key "${k}" is not an amount in £`);
+      if (!isPrice(m[k])) reasons.push(`upfronts["${k}"] must be a non-negative number (got ${m[k]})`);
+    });
+    if (isPrice(t.upfront) && isPrice(t.device)) {
+      const own = Object.keys(m).find((k) => Math.abs(parseFloat(k) - t.upfront) <= PENNY);
+      if (own == null) reasons.push(`upfronts must include the default upfront £${money2(t.upfront)}`);
+      else if (isPrice(m[own]) && Math.abs(m[own] - t.device) > PENNY) {
+        reasons.push(`upfronts["${own}"] £${money2(m[own])} != device £${money2(t.device)}`);
       }
-    `;
-    document.head.appendChild(style);
+    }
+    return reasons;
   }
 
-  function applyFlexFixToTariffRows() {
-    ensureFlexFixCSS();
-    // Only target rows that actually contain tariff cards (keeps rest of page untouched)
-    const rows = Array.from(document.querySelectorAll(".row")).filter((r) =>
-      r.querySelector("o2uk-commercial-tariff-card.tariff-card")
-    );
-    rows.forEach((r) => r.classList.add("vm02-flex-row"));
+  // http(s), or relative to the page: never javascript:, data: and the like
+  function isWebUrl(value) {
+    if (typeof value !== "string" || !value.trim()) return false;
+    try {
+      return ["http:", "https:"].includes(new URL(value, window.location.href).protocol);
+    } catch (err) {
+      return false;
+    }
   }
 
-  // ---------- Modal (real nodes)
-  function ensureOfferModal() {
-    if (document.getElementById(MODAL_ID)) return;
+  function validateBenefits(list) {
+    if (!Array.isArray(list) || !list.length) return ["benefits must list at least one benefit"];
+    const reasons = [];
+    list.forEach((b, idx) => {
+      if (!b || typeof b.text !== "string" || !b.text.trim()) reasons.push(`benefits[${idx}] needs text`);
+      ["href", "icon"].forEach((k) => {
+        if (b && b[k] != null && !isWebUrl(b[k])) {
+          reasons.push(`benefits[${idx}].${k} must be an http(s) or relative URL`);
+        }
+      });
+      if (b && b.newTab != null && typeof b.newTab !== "boolean") {
+        reasons.push(`benefits[${idx}].newTab must be true or false`);
+      }
+    });
+    return reasons;
+  }
 
-    const overlay = document.createElement("div");
-    overlay.id = MODAL_OVERLAY_ID;
-    overlay.style.display = "none";
+  function validateFacets(facets) {
+    if (typeof facets !== "object" || Array.isArray(facets)) return ["facets must be an object"];
+    return Object.keys(facets)
+      .filter((k) => ![].concat(facets[k]).every((v) => typeof v === "string" && v.trim()))
+      .map((k) => `facets.${k} must be a label or a list of labels`);
+  }
 
-    const modal = document.createElement("div");
-    modal.id = MODAL_ID;
-    modal.style.display = "none";
+  function validateBasket(b) {
+    if (typeof b !== "object") return ["basket must be an object"];
+    if (typeof b.url === "string" && b.url) return [];
+    if (typeof b.action === "string" && b.action) {
+      const method = String(b.method || "POST").toUpperCase();
+      if (method !== "GET" && method !== "POST") return [`basket method ${b.method} not supported`];
+      if (b.fields != null && typeof b.fields !== "object") return ["basket fields must be an object"];
+      return [];
+    }
+    return ["basket needs a url or a form action"];
+  }
 
-    const header = document.createElement("div");
-    header.className = "vm02-offer-modal__header";
+  // Returns a cleaned config keyed by normalised capacity; logs every rejected entry.
+  function validateTariffConfig(config) {
+    const valid = {};
+    Object.keys(config || {}).forEach((rawCap) => {
+      const cap = normCapacity(rawCap);
+      if (!cap) {
+        warn(`tariff config: capacity key "${rawCap}" is not a capacity (e.g. "128GB", "1TB"); skipped`);
+        return;
+      }
+      const list = Array.isArray(config[rawCap]) ? config[rawCap] : [];
+      const ok = list.filter((t, idx) => {
+        const reasons = validateTariff(t);
+        if (reasons.length) warn(`tariff config: ${cap}[${idx}] rejected — ${reasons.join("; ")}`);
+        return !reasons.length;
+      });
+      if (ok.length) valid[cap] = ok;
+      else warn(`tariff config: ${cap} has no valid tariffs; capacity will not be injected`);
+    });
+    return valid;
+  }
 
-    const title = document.createElement("div");
-    title.className = "vm02-offer-modal__title";
-    title.textContent = OFFER_TITLE;
+  function validateOffer(o) {
+    const reasons = [];
+    if (!o || typeof o !== "object") return ["offer is not an object"];
+    if (typeof o.title !== "string" || !o.title.trim()) reasons.push("missing title");
+    if (!Array.isArray(o.paras)) reasons.push("paras must be an array");
+    if (o.termsUrl != null && typeof o.termsUrl !== "string") reasons.push("termsUrl must be a string");
+    ["start", "end"].forEach((k) => {
+      if (o[k] != null && isNaN(Date.parse(o[k]))) reasons.push(`${k} is not a date (got ${o[k]})`);
+    });
+    return reasons;
+  }
 
-    const closeBtn = document.createElement("button");
-    closeBtn.type = "button";
-    closeBtn.className = "vm02-offer-modal__close";
-    closeBtn.setAttribute("aria-label", "Close");
-    closeBtn.textContent = "×";
+  const OFFER_CONFIG = {};
+  Object.keys(OFFERS).forEach((id) => {
+    const reasons = validateOffer(OFFERS[id]);
+    if (reasons.length) warn(`offer config: "${id}" rejected — ${reasons.join("; ")}`);
+    else OFFER_CONFIG[id] = Object.assign({ id }, OFFERS[id]);
+  });
 
-    header.appendChild(title);
-    header.appendChild(closeBtn);
+  // ---------- Experiment arms (deterministic bucketing)
+  function writeStorage(key, value) {
+    try {
+      window.localStorage.setItem(key, value);
+    } catch (err) {
+      // storage blocked: assignment only lasts for this page view
+    }
+  }
 
-    const body = document.createElement("div");
-    body.className = "vm02-offer-modal__body";
+  // FNV-1a, 32-bit: stable across browsers, good enough spread for traffic splitting
+  function hash32(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
 
-    OFFER_PARAS.forEach((t) => {
-      const p = document.createElement("p");
-      p.textContent = t;
-      body.appendChild(p);
-    });
+  function getVisitorId() {
+    let vid = readStorage("vm02_vid");
+    if (!vid) {
+      const rand =
+        window.crypto && window.crypto.getRandomValues
+          ? Array.from(window.crypto.getRandomValues(new Uint32Array(2)))
+              .map((n) => n.toString(36))
+              .join("")
+          : Math.random().toString(36).slice(2);
+      vid = `${Date.now().toString(36)}.${rand}`;
+      writeStorage("vm02_vid", vid);
+    }
+    return vid;
+  }
 
-    const pTerms = document.createElement("p");
-    pTerms.appendChild(document.createTextNode("Terms apply. "));
-    const a = document.createElement("a");
-    a.href = OFFER_TERMS_URL;
-    a.target = "_blank";
-    a.rel = "noopener";
-    a.textContent = "o2.co.uk/termsandconditions";
-    pTerms.appendChild(a);
-    body.appendChild(pTerms);
+  function bucketArm(arms, visitorId) {
+    const total = arms.reduce((sum, a) => sum + a.weight, 0);
+    const point = (hash32(`${EXPERIMENT_ID}:${visitorId}`) / 0x100000000) * total;
+    let acc = 0;
+    return arms.find((a) => (acc += a.weight) > point) || arms[arms.length - 1];
+  }
 
-    modal.appendChild(header);
-    modal.appendChild(body);
+  function assignArm() {
+    const arms = ARMS.filter((a, idx) => {
+      const ok = a && typeof a.id === "string" && isPrice(a.weight);
+      if (!ok) warn(`arms: entry ${idx} needs an id and a non-negative weight; skipped`);
+      return ok;
+    });
+    const byId = (id) => arms.find((a) => a.id === id);
+    if (!arms.length || !arms.some((a) => a.weight > 0)) {
+      warn("arms: no arm with traffic; falling back to control");
+      return { id: "control", control: true };
+    }
 
-    document.body.appendChild(overlay);
-    document.body.appendChild(modal);
+    const forced = new URLSearchParams(window.location.search).get("vm02_arm");
+    if (forced) {
+      if (byId(forced)) return byId(forced);
+      warn(`arms: ?vm02_arm=${forced} is not an arm; using normal assignment`);
+    }
 
-    const close = () => {
-      overlay.style.display = "none";
-      modal.style.display = "none";
-      document.documentElement.classList.remove("vm02-modal-open");
-    };
+    const storageKey = `vm02_arm_${EXPERIMENT_ID}`;
+    const stored = byId(readStorage(storageKey));
+    if (stored) return stored;
 
-    overlay.addEventListener("click", close);
-    closeBtn.addEventListener("click", close);
-    document.addEventListener("keydown", (e) => {
-      if (e.key === "Escape") close();
-    });
+    const picked = bucketArm(arms.filter((a) => a.weight > 0), getVisitorId());
+    writeStorage(storageKey, picked.id);
+    return picked;
   }
 
-  function openOfferModal() {
-    ensureOfferModal();
-    const overlay = document.getElementById(MODAL_OVERLAY_ID);
-    const modal = document.getElementById(MODAL_ID);
-    if (!overlay || !modal) return;
-
-    overlay.style.display = "block";
-    modal.style.display = "block";
-    document.documentElement.classList.add("vm02-modal-open");
+  // The visitor's arm and what it configures. Assigned once the variation is allowed to run for a
+  // device (see setDevice), so opted-out and off-target visits never get a visitor id or an arm.
+  let arm = null;
+  let armCopy = { badge: "Online Exclusive", offer: "" };
+  let nativePatches = [];
+  let armPlacement = "start";
+
+  function useArm() {
+    if (arm) return arm;
+    arm = assignArm();
+    variantId = `${EXPERIMENT_ID}-${arm.id}`;
+    api.arm = arm.id;
+
+    armCopy = Object.assign({ badge: "Online Exclusive", offer: "" }, arm.control ? {} : arm.copy);
+    nativePatches = arm.control ? [] : validateNativePatches(arm.nativePatches);
+    armPlacement = arm.placement || "start";
+    if (!PLACEMENTS.includes(armPlacement)) warn(`arm ${arm.id}: unknown placement "${arm.placement}"`);
+    return arm;
   }
 
-  // ---------- DOM anchors
-  function findRowAndTemplate() {
-    const card = document.querySelector("o2uk-commercial-tariff-card.tariff-card");
-    if (!card) return null;
-
-    const col =
-      card.closest(".col-lg-4.col-md-4.col-sm-4.col-xs-4") || card.closest("[class*='col-']");
-    if (!col) return null;
+  const VALID_DEVICES = DEVICES.filter((d, idx) => {
+    const ok = d && typeof d.id === "string" && d.path instanceof RegExp && d.product instanceof RegExp;
+    if (!ok) warn(`devices: entry ${idx} needs an id, a path and a product pattern; skipped`);
+    else if (d.offer && !OFFER_CONFIG[d.offer]) {
+      warn(`devices: ${d.id} offer "${d.offer}" is not a valid offer; its cards fall back to none`);
+    }
+    return ok;
+  });
 
-    const row = col.closest(".row") || col.parentElement;
-    if (!row) return null;
+  // Tables are validated the first time their device is visited. Control has no tariffs, so
+  // every capacity resolves to "no config" and nothing is injected.
+  const deviceTariffs = new Map();
 
-    return { row, templateCol: col };
+  function getDeviceTariffs(device) {
+    if (!device || useArm().control) return {};
+    if (!deviceTariffs.has(device.id)) {
+      const own = arm.tariffs && arm.tariffs[device.id];
+      deviceTariffs.set(device.id, validateTariffConfig(own || device.tariffs));
+    }
+    return deviceTariffs.get(device.id);
   }
 
-  function removeInjected(row) {
-    row.querySelectorAll(`[${INJECTED_COL_ATTR}="true"]`).forEach((n) => n.remove());
+  // The device the variation is running for, and its validated table ({} when none)
+  let currentDevice = null;
+  let tariffConfig = {};
+
+  function setDevice(device) {
+    currentDevice = device;
+    tariffConfig = getDeviceTariffs(device);
+    if (device) log(`device: ${device.id}`);
   }
 
-  // Grab all tariff cols globally (for filter hide/show)
-  function getAllTariffCols() {
-    const cards = Array.from(document.querySelectorAll("o2uk-commercial-tariff-card.tariff-card"));
-    const cols = [];
-    cards.forEach((card) => {
-      const col =
-        card.closest(".col-lg-4.col-md-4.col-sm-4.col-xs-4") || card.closest("[class*='col-']");
-      if (col) cols.push(col);
+  const PATCH_ACTIONS = ["badge", "allowance", "monthly", "benefits", "hide"];
+
+  function validateNativePatches(rules) {
+    return (Array.isArray(rules) ? rules : []).filter((r, idx) => {
+      const reasons = [];
+      if (!r || typeof r.id !== "string") reasons.push("missing id");
+      const m = (r && r.match) || {};
+      if (m.allowance == null && m.monthly == null) reasons.push("match needs allowance and/or monthly");
+      if (m.monthly != null && !isPrice(m.monthly)) reasons.push("match.monthly must be a price");
+      if (r && r.monthly != null && !isPrice(r.monthly)) reasons.push("monthly must be a price");
+      if (r && Array.isArray(r.benefits)) reasons.push(...validateBenefits(r.benefits));
+      if (r && r.capacity != null && !normCapacity(r.capacity)) reasons.push("capacity is not a capacity");
+      if (r && !PATCH_ACTIONS.some((k) => r[k] != null && r[k] !== false)) reasons.push("no action");
+      if (reasons.length) warn(`native patch ${(r && r.id) || idx} rejected — ${reasons.join("; ")}`);
+      return !reasons.length;
     });
-    return cols;
   }
 
-  // ---------- Card mutations
-  function addOnlineExclusiveRoof(col) {
-    const roof = col.querySelector(".tariff-card__roof");
-    if (!roof || roof.querySelector(".vm02-online-exclusive")) return;
+  const riseErrors = validateRises(PRICE_RISES);
+  if (riseErrors.length) warn(`price rises: ${riseErrors.join("; ")}; rises disabled`);
+  const DEFAULT_RISES = riseErrors.length ? [] : PRICE_RISES;
+
+  // ---------- Price model (single source of truth for every figure we write on a card)
+  function buildPriceModel(t, start) {
+    const rises = (t.rises || DEFAULT_RISES)
+      .map((r) => Object.assign({}, r, { date: parseDay(r.from) }))
+      .sort((a, b) => a.date - b.date);
+
+    let airtime = t.airtime;
+    const steps = rises.map((r) => {
+      airtime = r.flat != null ? airtime + r.flat : airtime * (1 + r.percent / 100);
+      airtime = Math.round(airtime * 100) / 100;
+      return {
+        date: r.date,
+        label: r.label || `From ${MONTH_NAMES[r.date.getMonth()]} ${r.date.getFullYear()} bill`,
+        monthly: t.device + airtime,
+      };
+    });
 
-    const badge = document.createElement("div");
-    badge.className = "vm02-online-exclusive";
-    badge.textContent = "Online Exclusive";
-    roof.appendChild(badge);
+    const months = t.contractMonths || CONTRACT_MONTHS;
+    return {
+      upfront: t.upfront,
+      monthly: t.monthly,
+      device: t.device,
+      airtime: t.airtime,
+      rises: steps,
+      months,
+      total: contractTotal(t.upfront, t.monthly, steps, months, start),
+    };
   }
 
-  function setAllowance(col, allowance) {
-    const span = col.querySelector(".new-tariff-card-plan-info__allowance > span");
-    if (span) span.textContent = allowance;
-
-    // Store normalized value for filtering
-    col.setAttribute("data-vm02-allowance", normAllowance(allowance));
-
-    const existing = col.querySelector(".new-tariff-card-plan-info__fair-usage-link");
-    if (String(allowance).toLowerCase() === "unlimited") {
-      if (!existing) {
-        const wrap = document.createElement("div");
-        wrap.className = "new-tariff-card-plan-info__fair-usage-link ng-star-inserted";
-        wrap.innerHTML = `<a href="${FAIR_USAGE_URL}" target="_blank" rel="noopener">Fair usage applies<span class="sr-only" style="position:absolute !important;">&nbsp;Opens in new tab</span></a>`;
-        const allowanceNode = col.querySelector(".new-tariff-card-plan-info__allowance");
-        if (allowanceNode) allowanceNode.appendChild(wrap);
-      }
-    } else if (existing) {
-      existing.remove();
+  // Bill m falls in calendar month start + m; a rise counts from its effective month onwards
+  function contractTotal(upfront, monthly, steps, months, start) {
+    const startIdx = start.getFullYear() * 12 + start.getMonth();
+    let total = upfront;
+    for (let m = 0; m < months; m++) {
+      let bill = monthly;
+      steps.forEach((step) => {
+        if (step.date.getFullYear() * 12 + step.date.getMonth() <= startIdx + m) bill = step.monthly;
+      });
+      total += bill;
     }
+    return Math.round(total * 100) / 100;
   }
 
-  function setUpfront(col, upfront) {
-    const { i, d } = splitMoney(upfront);
-    const intNode = col.querySelector(
-      ".new-tariff-price-block__prices_upfront .o2uk-price__amount-integer"
+  // Normalised capacity of the selected pill, whether or not we have config for it
+  function getSelectedPillCapacity() {
+    const selected = document.querySelector(
+      "o2uk-pills .o2uk-pills__button_selected .o2uk-pills__label"
     );
-    const decNode = col.querySelector(
-      ".new-tariff-price-block__prices_upfront .o2uk-price__amount-decimal span"
+    const btn = document.querySelector("o2uk-pills .o2uk-pills__button_selected");
+    return (
+      normCapacity(selected ? selected.textContent : "") ||
+      normCapacity(btn ? btn.getAttribute("aria-label") : "")
     );
-    const sr = col.querySelector(".new-tariff-price-block__prices_upfront .sr-only");
-    if (intNode) intNode.textContent = i;
-    if (decNode) decNode.textContent = d;
-    if (sr) sr.textContent = ` £${money2(upfront)} UPFRONT `;
   }
 
-  function setMonthly(col, monthly) {
-    const { i, d } = splitMoney(monthly);
-    const root = col.querySelector(".new-tariff-price-block__prices_monthly");
-    if (!root) return;
-
-    const intNode = root.querySelector(".o2uk-price__amount-integer");
-    const decNode = root.querySelector(".o2uk-price__amount-decimal span");
-    const sr = root.querySelector(".sr-only");
-    if (intNode) intNode.textContent = ` ${i} `;
-    if (decNode) decNode.textContent = ` ${d} `;
-    if (sr) sr.textContent = ` £${money2(monthly)} monthly `;
+  // Maps whatever pill O2 renders onto a config key; null when that capacity has no config.
+  function getSelectedCapacity() {
+    const cap = getSelectedPillCapacity();
+    return cap && tariffConfig[cap] ? cap : null;
   }
 
-  function setRises(col, monthly) {
-    const items = Array.from(
-      col.querySelectorAll(".new-tariff-price-block__price-rise-container .price-rise-item")
-    );
-    const apr2026 = monthly + 2.5;
-    const apr2027 = monthly + 5.0;
-
-    if (items[0]) {
-      const spans = items[0].querySelectorAll("span");
-      if (spans[0]) spans[0].textContent = "From Apr 2026 bill";
-      if (spans[1]) spans[1].textContent = `£${money2(apr2026)}`;
+  // Upfront (£) selected in O2's upfront selector; null when the page has no selector
+  function findUpfrontSelector() {
+    for (const sel of UPFRONT_SELECTOR.containers) {
+      const root = Array.from(document.querySelectorAll(sel)).find((n) => !n.closest(TEMPLATE_MANIFEST.card));
+      if (root) return root;
     }
-    if (items[1]) {
-      const spans = items[1].querySelectorAll("span");
-      if (spans[0]) spans[0].textContent = "From Apr 2027 bill";
-      if (spans[1]) spans[1].textContent = `£${money2(apr2027)}`;
+    return null;
+  }
+
+  function getSelectedUpfront() {
+    const root = findUpfrontSelector();
+    if (!root) return null;
+    const opt = UPFRONT_SELECTOR.selected.map((sel) => root.querySelector(sel)).find(Boolean);
+    if (!opt) return null;
+
+    const texts = [opt.textContent, opt.getAttribute("aria-label"), opt.value || opt.getAttribute("value")];
+    for (const txt of texts) {
+      if (!txt) continue;
+      if (/\bno\s+upfront\b/i.test(txt)) return 0;
+      const m = txt.match(/£\s*(\d+(?:\.\d{1,2})?)/) || txt.trim().match(/^(\d+(?:\.\d{1,2})?)$/);
+      if (m) return parseFloat(m[1]);
     }
+    return null;
   }
 
-  function setBreakdown(col, device, airtime) {
-    const node = col.querySelector(".new-tariff-price-block__monthly-cost-amount > div");
-    if (node) node.textContent = `£${money2(device)} Device + £${money2(airtime)} Airtime`;
+  // The tariff as priced for `upfront`: device (and so monthly) from its `upfronts` matrix.
+  // Tariffs without a matrix, or without that amount in it, keep their default pricing.
+  function withUpfront(t, upfront) {
+    if (upfront == null || !t.upfronts || Math.abs(upfront - t.upfront) <= PENNY) return t;
+    const key = Object.keys(t.upfronts).find((k) => Math.abs(parseFloat(k) - upfront) <= PENNY);
+    if (key == null) {
+      debug(`${t.allowance}: no price for £${money2(upfront)} upfront; showing £${money2(t.upfront)}`);
+      return t;
+    }
+    const device = t.upfronts[key];
+    return Object.assign({}, t, {
+      upfront,
+      device,
+      monthly: Math.round((device + t.airtime) * 100) / 100,
+    });
   }
 
-  // Spec: exactly 2 benefits (content only)
-  function setBenefitsToTwo(col) {
-    const label = col.querySelector(".o2uk-inline-accordion__text");
-    if (label) label.textContent = " View (2) benefits ";
+  // ---------- Analytics (pluggable sinks)
+  const EVENTS = {
+    activated: "vm02_variant_activated",
+    impression: "vm02_card_impression",
+    offerClick: "vm02_offer_click",
+    modalOpen: "vm02_modal_open",
+    modalClose: "vm02_modal_close",
+    accordionExpand: "vm02_accordion_expand",
+    choosePlan: "vm02_choose_plan",
+    guardrail: "vm02_guardrail_failed",
+    health: "vm02_template_health",
+  };
 
-    const body = col.querySelector(".new-tariff-promo-block-benefits__container");
-    if (!body) return;
+  // A sink is just a function receiving { event, variant, capacity, allowance, monthly, ts }
+  const SINK_FACTORIES = {
+    dataLayer: () => (evt) => {
+      window.dataLayer = window.dataLayer || [];
+      window.dataLayer.push(Object.assign({}, evt));
+    },
+    optimizely: () => (evt) => {
+      window.optimizely = window.optimizely || [];
+      window.optimizely.push({
+        type: "event",
+        eventName: evt.event,
+        tags: {
+          variant: evt.variant,
+          capacity: evt.capacity,
+          allowance: evt.allowance,
+          monthly: evt.monthly,
+        },
+      });
+    },
+    memory: () => createMemorySink(),
+  };
 
-    body.innerHTML = `
-      <div class="new-tariff-promo-block-benefits__offer ng-star-inserted">
-        <p>Roam freely in the EU, up to 25GB</p>
-      </div>
-      <div class="new-tariff-promo-block-benefits__offer ng-star-inserted">
-        Unlimited UK Minutes &amp; texts
-      </div>
-    `;
+  function createMemorySink() {
+    const events = [];
+    const sink = (evt) => events.push(evt);
+    sink.events = events;
+    return sink;
   }
 
-  function setOffer(col) {
-    const title = col.querySelector(".new-tariff-promo-block-primary__section-title");
-    if (title) title.textContent = "OFFER";
+  const sinks = [];
 
-    const btn = col.querySelector(".new-tariff-promo-block-primary__container");
-    if (!btn) return;
+  function addSink(sink) {
+    if (typeof sink === "function" && !sinks.includes(sink)) sinks.push(sink);
+    return sink;
+  }
 
-    // Replace just this node to remove existing handlers on cloned markup
-    const newBtn = btn.cloneNode(true);
-    btn.parentNode.replaceChild(newBtn, btn);
+  function removeSink(sink) {
+    const idx = sinks.indexOf(sink);
+    if (idx >= 0) sinks.splice(idx, 1);
+  }
 
-    newBtn.style.backgroundColor = "#953698";
+  ANALYTICS_SINKS.forEach((name) => {
+    if (SINK_FACTORIES[name]) addSink(SINK_FACTORIES[name]());
+    else warn(`analytics: unknown sink "${name}"`);
+  });
 
-    const titleDiv = col.querySelector(".new-tariff-promo-block-primary__title");
-    if (titleDiv) {
-      const icon = titleDiv.querySelector("span");
-      titleDiv.textContent = "";
-      if (icon) titleDiv.appendChild(icon);
-      titleDiv.appendChild(document.createTextNode(" " + OFFER_TITLE));
-    }
+  // Tariff context for events, keyed by injected col (cols are ours, so they never get re-rendered)
+  const injectedMeta = new WeakMap();
 
-    newBtn.addEventListener("click", (e) => {
-      e.preventDefault();
-      openOfferModal();
+  function tariffContext(col) {
+    const meta = col ? injectedMeta.get(col) : null;
+    if (!meta) return {};
+    return { capacity: meta.capacity, allowance: meta.tariff.allowance, monthly: meta.tariff.monthly };
+  }
+
+  function track(event, ctx) {
+    const base = { event, variant: variantId, arm: arm ? arm.id : undefined, device: currentDevice ? currentDevice.id : undefined };
+    const evt = Object.assign(base, ctx || {}, { ts: Date.now() });
+    sinks.forEach((sink) => {
+      try {
+        sink(evt);
+      } catch (err) {
+        warn(`analytics: sink failed for ${event}`, err);
+      }
     });
   }
 
-  // ---------- Accordion (Injected only)
-  function wireInjectedAccordion(col) {
-    if (col.getAttribute("data-vm02-accordion-wired") === "true") return;
+  // Impressions: once per device/capacity/allowance/price for the page lifetime, so SPA re-renders and
+  // capacity switches back and forth don't re-count the same card.
+  const seenImpressions = new Set();
+  let impressionObs = null;
+
+  function observeImpression(col) {
+    if (!("IntersectionObserver" in window)) return;
+    if (!impressionObs) {
+      impressionObs = new IntersectionObserver(
+        (entries) => {
+          entries.forEach((entry) => {
+            if (!entry.isIntersecting) return;
+            impressionObs.unobserve(entry.target);
+
+            const ctx = tariffContext(entry.target);
+            const key = `${currentDevice && currentDevice.id}|${ctx.capacity}|${ctx.allowance}|${ctx.monthly}`;
+            if (seenImpressions.has(key)) return;
+            seenImpressions.add(key);
+            track(EVENTS.impression, ctx);
+          });
+        },
+        { threshold: 0.5 }
+      );
+    }
+    impressionObs.observe(col);
+  }
 
-    const header =
-      col.querySelector(".mat-expansion-panel-header") || col.querySelector("o2uk-expansion-panel-header");
-    const panel =
-      col.querySelector(".mat-expansion-panel") || col.querySelector("o2uk-expansion-panel");
-    const content =
-      col.querySelector(".mat-expansion-panel-content") || col.querySelector(".o2uk-expansion-panel-content");
-    const label = col.querySelector(".o2uk-inline-accordion__text");
-    const icon = col.querySelector(".o2uk-panel-icon.o2uk-expansion-indicator");
+  api.analytics = { addSink, removeSink, createMemorySink, track, EVENTS };
+  api.setClock = (date) => {
+    setClock(date);
+    if (!active) return; // nothing to refresh, and no timer to re-arm, after destroy()
+    refreshOffers();
+    scheduleOfferRefresh();
+  };
 
-    if (!header || !content) return;
+  // ---------- Styles (one injected stylesheet; every rule is scoped to our own classes, ids or
+  // attributes, so native cards elsewhere on the site are never restyled)
+  const STYLE_ID = "vm02-style";
 
-    header.setAttribute("role", "button");
-    header.tabIndex = 0;
+  // Stylesheet selector for a card node under one of our scopes; manifest entries can be lists
+  function scoped(scope, id, suffix = "") {
+    return CARD_SELECTORS[id]
+      .split(",")
+      .map((sel) => `${scope} ${sel.trim()}${suffix}`)
+      .join(", ");
+  }
 
-    function setState(open) {
-      header.setAttribute("aria-expanded", open ? "true" : "false");
-      header.classList.toggle("mat-expanded", open);
+  function buildStylesheet(t) {
+    return `
+      .vm02-online-exclusive {
+        background: ${t.brand};
+        color: ${t.onBrand};
+        font-weight: 700;
+        font-size: 12px;
+        line-height: 1;
+        padding: 10px 12px;
+        border-top-left-radius: ${t.badgeRadius};
+        border-top-right-radius: ${t.badgeRadius};
+        width: 100%;
+        box-sizing: border-box;
+      }
+
+      /* Make sure the roof exists visually where we put a badge in it */
+      ${scoped(".vm02-injected-col", "roof")},
+      ${scoped("[data-vm02-patched]", "roof")} {
+        display: block;
+      }
+
+      /* Make sure injected cards don't get crushed in responsive rows */
+      .vm02-injected-col {
+        box-sizing: border-box;
+      }
+
+      /* Offer block – per-offer badge colour (set inline as --vm02-offer-colour) */
+      ${scoped(".vm02-injected-col", "offer")} {
+        background-color: var(--vm02-offer-colour, ${t.brand}) !important;
+      }
+
+      /* Benefits list - consistent */
+      ${scoped(".vm02-injected-col", "benefitItem", " p")} {
+        margin: 0;
+      }
+      /* Patched native card: Angular's nodes stay in the DOM, ours show instead */
+      [data-vm02-benefits] > :not(.vm02-benefit),
+      [data-vm02-replaced] {
+        display: none !important;
+      }
+      ${scoped(".vm02-injected-col", "benefitsContent")} {
+        overflow: visible !important;
+        margin-bottom: 60px;
+      }
+      .vm02-benefit-icon {
+        width: 16px;
+        height: 16px;
+        margin-right: 6px;
+        vertical-align: middle;
+      }
+
+      .vm02-total-cost {
+        margin-top: 6px;
+        font-size: 12px;
+        font-weight: 700;
+      }
+
+      /* Pack visible cards tightly when some are display:none */
+      .vm02-flex-row {
+        display: flex !important;
+        flex-wrap: wrap !important;
+      }
+      .vm02-flex-row:before,
+      .vm02-flex-row:after {
+        display: none !important;
+        content: none !important;
+      }
+      /* Defensive: if legacy float layout exists, flex will override; avoid float weirdness */
+      .vm02-flex-row > [class*="col-"] {
+        float: none !important;
+      }
+
+      /* Modal overlay + modal */
+      #${MODAL_OVERLAY_ID} {
+        position: fixed;
+        inset: 0;
+        background: ${t.overlay};
+        z-index: 9998;
+      }
+      #${MODAL_ID} {
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        width: min(720px, calc(100vw - 32px));
+        max-height: calc(100vh - 80px);
+        transform: translate(-50%, -50%);
+        background: ${t.surface};
+        border-radius: ${t.modalRadius};
+        box-shadow: ${t.modalShadow};
+        z-index: 9999;
+        overflow: auto;
+      }
+      #${MODAL_ID}:focus {
+        outline: none;
+      }
+      #${MODAL_ID} p {
+        margin-bottom: 1rem;
+      }
+      .vm02-offer-modal__header {
+        display: flex;
+        gap: 12px;
+        align-items: flex-start;
+        justify-content: space-between;
+        padding: 18px 18px 10px;
+        border-bottom: 1px solid ${t.divider};
+      }
+      .vm02-offer-modal__title {
+        margin: 0;
+        font-weight: 800;
+        font-size: 18px;
+        line-height: 1.2;
+      }
+      .vm02-offer-modal__close {
+        appearance: none;
+        border: none;
+        background: transparent;
+        font-size: 26px;
+        line-height: 1;
+        cursor: pointer;
+        padding: 0 6px;
+      }
+      .vm02-offer-modal__body {
+        padding: 14px 18px 18px;
+        font-size: 13px;
+        line-height: 1.45;
+        color: ${t.text};
+      }
+      .vm02-offer-modal__body a {
+        color: inherit;
+        text-decoration: underline;
+      }
+      html.vm02-modal-open,
+      html.vm02-modal-open body {
+        overflow: hidden;
+      }
+
+      /* Compare: checkbox under each card + sticky drawer */
+      /* Zero-width flex item after each card's col: the control hangs below that card */
+      .vm02-compare-slot {
+        position: relative;
+        flex: 0 0 0;
+        width: 0;
+      }
+      .vm02-flex-row {
+        padding-bottom: 40px;
+        row-gap: 40px;
+      }
+      .vm02-compare {
+        position: absolute;
+        top: 100%;
+        right: 16px;
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin-top: 8px;
+        font-size: 14px;
+        white-space: nowrap;
+        cursor: pointer;
+      }
+      #${COMPARE_ID} {
+        position: sticky;
+        bottom: 0;
+        z-index: 999;
+        max-height: 60vh;
+        overflow: auto;
+        padding: 12px 16px;
+        background: ${t.surface};
+        box-shadow: ${t.drawerShadow};
+      }
+      #${COMPARE_ID} .vm02-compare__title {
+        margin: 0 0 8px;
+        font-size: 18px;
+      }
+      #${COMPARE_ID} table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 14px;
+      }
+      #${COMPARE_ID} th,
+      #${COMPARE_ID} td {
+        padding: 4px 8px;
+        text-align: left;
+        border-bottom: 1px solid ${t.tableRule};
+      }
+      #${COMPARE_ID} button {
+        margin: 4px 6px 0 0;
+      }
+
+      /* QA debug panel (?vm02_debug=1) */
+      #${DEBUG_PANEL_ID} {
+        position: fixed;
+        right: 12px;
+        bottom: 12px;
+        z-index: 10000;
+        width: 320px;
+        max-height: 60vh;
+        overflow: auto;
+        padding: 10px 12px;
+        background: ${t.debugSurface};
+        color: ${t.debugText};
+        border-radius: ${t.debugRadius};
+        font: 11px/1.4 Menlo, Consolas, monospace;
+      }
+      #${DEBUG_PANEL_ID} h4 {
+        margin: 8px 0 4px;
+        font-size: 11px;
+        color: ${t.debugAccent};
+      }
+      #${DEBUG_PANEL_ID} button,
+      #${DEBUG_PANEL_ID} select {
+        margin: 0 4px 4px 0;
+        padding: 2px 6px;
+        font: inherit;
+      }
+      #${DEBUG_PANEL_ID} ul {
+        margin: 0;
+        padding-left: 14px;
+      }
+    `;
+  }
+
+  function ensureStyles() {
+    if (document.getElementById(STYLE_ID)) return;
+    const style = document.createElement("style");
+    style.id = STYLE_ID;
+    style.textContent = buildStylesheet(THEME);
+    document.head.appendChild(style);
+  }
+
+  function applyFlexFixToTariffRows() {
+    ensureStyles();
+    // Only target rows that actually contain tariff cards (keeps rest of page untouched)
+    const rows = Array.from(document.querySelectorAll(TEMPLATE_MANIFEST.row)).filter((r) =>
+      r.querySelector(TEMPLATE_MANIFEST.card)
+    );
+    rows.forEach((r) => r.classList.add("vm02-flex-row"));
+  }
+
+  // ---------- Modal (real nodes)
+  function ensureOfferModal() {
+    if (document.getElementById(MODAL_ID)) return;
+
+    const overlay = document.createElement("div");
+    overlay.id = MODAL_OVERLAY_ID;
+    overlay.style.display = "none";
+
+    const modal = document.createElement("div");
+    modal.id = MODAL_ID;
+    modal.style.display = "none";
+    modal.setAttribute("role", "dialog");
+    modal.setAttribute("aria-modal", "true");
+    modal.setAttribute("aria-labelledby", MODAL_TITLE_ID);
+    modal.tabIndex = -1;
+
+    const header = document.createElement("div");
+    header.className = "vm02-offer-modal__header";
+
+    const title = document.createElement("h2");
+    title.id = MODAL_TITLE_ID;
+    title.className = "vm02-offer-modal__title";
+
+    const closeBtn = document.createElement("button");
+    closeBtn.type = "button";
+    closeBtn.className = "vm02-offer-modal__close";
+    closeBtn.setAttribute("aria-label", "Close offer details");
+    closeBtn.textContent = "×";
+
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+
+    const body = document.createElement("div");
+    body.className = "vm02-offer-modal__body";
+
+    // Optional message above the offer copy (e.g. CTA fallback)
+    const notice = document.createElement("p");
+    notice.className = "vm02-offer-modal__notice";
+    notice.style.display = "none";
+    body.appendChild(notice);
+
+    // Offer copy, rendered per open (see renderOfferModal)
+    const copy = document.createElement("div");
+    copy.className = "vm02-offer-modal__copy";
+    body.appendChild(copy);
+
+    modal.appendChild(header);
+    modal.appendChild(body);
+
+    document.body.appendChild(overlay);
+    document.body.appendChild(modal);
+
+    overlay.addEventListener("click", closeOfferModal);
+    closeBtn.addEventListener("click", closeOfferModal);
+  }
+
+  // Tariff context of the card that opened the modal (carried onto the close event)
+  let modalContext = null;
+  // Element to hand focus back to on close (the offer block / CTA that opened the modal)
+  let modalOpener = null;
+
+  function isModalOpen() {
+    const modal = document.getElementById(MODAL_ID);
+    return !!modal && modal.style.display !== "none";
+  }
+
+  // Everything outside the dialog goes inert while it is open; only nodes we marked are restored
+  function setBackgroundInert(on) {
+    if (!on) {
+      document.querySelectorAll("[data-vm02-inert]").forEach((n) => {
+        n.removeAttribute("inert");
+        n.removeAttribute("data-vm02-inert");
+      });
+      return;
+    }
+    Array.from(document.body.children).forEach((n) => {
+      if (n.id === MODAL_ID || n.id === MODAL_OVERLAY_ID || n.hasAttribute("inert")) return;
+      if (n.tagName === "SCRIPT" || n.tagName === "STYLE") return;
+      n.setAttribute("inert", "");
+      n.setAttribute("data-vm02-inert", "true");
+    });
+  }
+
+  function getModalFocusables(modal) {
+    return Array.from(
+      modal.querySelectorAll("a[href], button:not([disabled]), [tabindex]:not([tabindex='-1'])")
+    );
+  }
+
+  // No offer (e.g. CTA fallback after expiry): the notice message becomes the whole dialog
+  function renderOfferModal(modal, offer, message) {
+    const title = modal.querySelector(`#${MODAL_TITLE_ID}`);
+    const copy = modal.querySelector(".vm02-offer-modal__copy");
+    if (title) title.textContent = offer ? offer.title : message ? armCopy.badge : "";
+    if (!copy) return;
+
+    copy.textContent = "";
+    if (!offer) return;
+
+    offer.paras.forEach((t) => {
+      const p = document.createElement("p");
+      p.textContent = t;
+      copy.appendChild(p);
+    });
+
+    if (offer.termsUrl) {
+      const pTerms = document.createElement("p");
+      pTerms.appendChild(document.createTextNode("Terms apply. "));
+      const a = document.createElement("a");
+      a.href = offer.termsUrl;
+      a.target = "_blank";
+      a.rel = "noopener";
+      a.textContent = offer.termsUrl.replace(/^https?:\/\/(www\.)?/, "");
+      pTerms.appendChild(a);
+      copy.appendChild(pTerms);
+    }
+  }
+
+  // opts: { offer, message, opener }
+  function openOfferModal(ctx, opts) {
+    const { offer, message, opener } = opts || {};
+    ensureOfferModal();
+    const overlay = document.getElementById(MODAL_OVERLAY_ID);
+    const modal = document.getElementById(MODAL_ID);
+    if (!overlay || !modal) return;
+
+    renderOfferModal(modal, offer, message);
+
+    const notice = modal.querySelector(".vm02-offer-modal__notice");
+    if (notice) {
+      notice.textContent = message || "";
+      notice.style.display = message ? "" : "none";
+    }
+
+    if (!isModalOpen()) modalOpener = opener || document.activeElement;
+
+    overlay.style.display = "block";
+    modal.style.display = "block";
+    document.documentElement.classList.add("vm02-modal-open");
+    setBackgroundInert(true);
+
+    // Focusing the dialog itself announces its accessible name (the offer title)
+    modal.focus();
+
+    modalContext = ctx || null;
+    track(EVENTS.modalOpen, modalContext);
+  }
+
+  function closeOfferModal() {
+    if (!isModalOpen()) return;
+    document.getElementById(MODAL_OVERLAY_ID).style.display = "none";
+    document.getElementById(MODAL_ID).style.display = "none";
+    document.documentElement.classList.remove("vm02-modal-open");
+    setBackgroundInert(false);
+
+    // Offer buttons are replaced on re-render; only restore focus to a node still on the page
+    if (modalOpener && modalOpener.isConnected && modalOpener.focus) modalOpener.focus();
+    modalOpener = null;
+
+    track(EVENTS.modalClose, modalContext);
+    modalContext = null;
+  }
+
+  // Escape closes; Tab / Shift+Tab stay inside the dialog. Idle unless the modal is open.
+  function onModalKeydown(e) {
+    if (!isModalOpen()) return;
+
+    if (e.key === "Escape") {
+      e.preventDefault();
+      closeOfferModal();
+      return;
+    }
+    if (e.key !== "Tab") return;
+
+    const modal = document.getElementById(MODAL_ID);
+    const focusables = getModalFocusables(modal);
+    if (!focusables.length) {
+      e.preventDefault();
+      modal.focus();
+      return;
+    }
+
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
+    const active = document.activeElement;
+    const outside = !modal.contains(active);
+
+    if (e.shiftKey && (active === first || active === modal || outside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (active === last || active === modal || outside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  // ---------- DOM anchors
+  // Every .row holding native tariff cards (document order). The template is always a native
+  // card: our own clones are removed on re-inject.
+  function findGrid() {
+    const nativeCols = getAllTariffCols().filter((c) => c.getAttribute(INJECTED_COL_ATTR) !== "true");
+    if (!nativeCols.length) return null;
+
+    const rows = [];
+    nativeCols.forEach((col) => {
+      const row = col.closest(TEMPLATE_MANIFEST.row) || col.parentElement;
+      if (row && !rows.includes(row)) rows.push(row);
+    });
+    if (!rows.length) return null;
+
+    // Clone an unpatched card where there is one (see cloneTemplate for when there isn't)
+    const templateCol = nativeCols.find((c) => !c.hasAttribute("data-vm02-patched")) || nativeCols[0];
+    return { rows, nativeCols, templateCol };
+  }
+
+  function removeInjected() {
+    document.querySelectorAll(`[${INJECTED_COL_ATTR}="true"]`).forEach((n) => n.remove());
+  }
+
+  // Grid col around a card
+  function closestCol(node) {
+    for (const sel of TEMPLATE_MANIFEST.col) {
+      const col = node.closest(sel);
+      if (col) return col;
+    }
+    return null;
+  }
+
+  // Grab all tariff cols globally (for filter hide/show)
+  function getAllTariffCols() {
+    const cards = Array.from(document.querySelectorAll(TEMPLATE_MANIFEST.card));
+    const cols = [];
+    cards.forEach((card) => {
+      const col = closestCol(card);
+      if (col) cols.push(col);
+    });
+    return cols;
+  }
+
+  // ---------- Card mutations
+  // Card node by TEMPLATE_MANIFEST id, so the health check and the setters can't drift apart
+  // The node showing that part of the card: on a patched native card, our copy rather than the
+  // Angular node it hides
+  function cardNode(col, id) {
+    return Array.from(col.querySelectorAll(CARD_SELECTORS[id])).find((n) => !n.hasAttribute(REPLACED_ATTR));
+  }
+
+  // Injected cards are ours to rewrite. On a native card Angular's node keeps its text (and its
+  // bindings) but is hidden behind a copy of it holding ours; revertNativePatch drops the copy.
+  function writeText(col, node, text) {
+    if (!node) return;
+    if (col.getAttribute(INJECTED_COL_ATTR) === "true" || node.classList.contains("vm02-patch-text")) {
+      node.textContent = text;
+      return;
+    }
+    const copy = node.cloneNode(false);
+    copy.classList.add("vm02-patch-text");
+    copy.textContent = text;
+    node.after(copy);
+    node.setAttribute(REPLACED_ATTR, "true");
+  }
+
+  function addOnlineExclusiveRoof(col, text) {
+    const roof = cardNode(col, "roof");
+    if (!roof || roof.querySelector(".vm02-online-exclusive")) return;
+
+    const badge = document.createElement("div");
+    badge.className = "vm02-online-exclusive";
+    badge.textContent = text || armCopy.badge;
+    roof.appendChild(badge);
+  }
+
+  function setAllowance(col, allowance) {
+    writeText(col, cardNode(col, "allowance"), allowance);
+
+    // Store normalized value for filtering
+    col.setAttribute("data-vm02-allowance", normAllowance(allowance));
+
+    const injected = col.getAttribute(INJECTED_COL_ATTR) === "true";
+    const existing = cardNode(col, "fairUsageLink");
+    if (String(allowance).toLowerCase() === "unlimited") {
+      if (!existing) {
+        const wrap = document.createElement("div");
+        wrap.className = "new-tariff-card-plan-info__fair-usage-link ng-star-inserted";
+        if (!injected) wrap.classList.add("vm02-patch-text");
+        wrap.innerHTML = `<a href="${FAIR_USAGE_URL}" target="_blank" rel="noopener">Fair usage applies<span class="sr-only" style="position:absolute !important;">&nbsp;Opens in new tab</span></a>`;
+        const allowanceNode = cardNode(col, "allowanceBlock");
+        if (allowanceNode) allowanceNode.appendChild(wrap);
+      }
+    } else if (existing) {
+      // Angular's *ngIf owns the native link: hidden, never removed
+      if (injected || existing.classList.contains("vm02-patch-text")) existing.remove();
+      else existing.setAttribute(REPLACED_ATTR, "true");
+    }
+  }
+
+  function setUpfront(col, upfront) {
+    const { i, d } = splitMoney(upfront);
+    const intNode = cardNode(col, "upfront");
+    const decNode = cardNode(col, "upfrontDecimal");
+    const sr = cardNode(col, "upfrontScreenReader");
+    if (intNode) intNode.textContent = i;
+    if (decNode) decNode.textContent = d;
+    if (sr) sr.textContent = ` £${money2(upfront)} UPFRONT `;
+  }
+
+  // `model` (optional) adds the contract total to the screen-reader text
+  function setMonthly(col, monthly, model) {
+    const { i, d } = splitMoney(monthly);
+    const intNode = cardNode(col, "monthly");
+    const decNode = cardNode(col, "monthlyDecimal");
+    const sr = cardNode(col, "monthlyScreenReader");
+    writeText(col, intNode, ` ${i} `);
+    writeText(col, decNode, ` ${d} `);
+    writeText(
+      col,
+      sr,
+      model
+        ? ` £${money2(monthly)} monthly, total cost £${money2(model.total)} over ${model.months} months `
+        : ` £${money2(monthly)} monthly `
+    );
+  }
+
+  // One .price-rise-item per step: extra rows are cloned from the first, surplus rows removed
+  function setRises(col, steps) {
+    const container = cardNode(col, "priceRises");
+    if (!container) return;
+
+    const items = Array.from(col.querySelectorAll(CARD_SELECTORS.priceRise));
+    if (!items.length) return;
+
+    const template = items[0];
+    while (items.length < steps.length) {
+      const extra = template.cloneNode(true);
+      items[items.length - 1].after(extra);
+      items.push(extra);
+    }
+    items.slice(steps.length).forEach((n) => n.remove());
+
+    steps.forEach((step, idx) => {
+      const spans = items[idx].querySelectorAll("span");
+      if (spans[0]) spans[0].textContent = step.label;
+      if (spans[1]) spans[1].textContent = `£${money2(step.monthly)}`;
+    });
+    container.style.display = steps.length ? "" : "none";
+  }
+
+  // Visible total; screen readers get it with the monthly price instead (see setMonthly)
+  function setTotalCost(col, model) {
+    const breakdown = cardNode(col, "breakdown");
+    const anchor = (breakdown && breakdown.parentNode) || cardNode(col, "priceRises");
+    if (!anchor) return;
+
+    let node = col.querySelector(".vm02-total-cost");
+    if (!node) {
+      node = document.createElement("div");
+      node.className = "vm02-total-cost";
+      node.setAttribute("aria-hidden", "true");
+      anchor.after(node);
+    }
+    node.textContent = `Total cost £${money2(model.total)} over ${model.months} months`;
+  }
+
+  function setBreakdown(col, device, airtime) {
+    const node = cardNode(col, "breakdown");
+    if (node) node.textContent = `£${money2(device)} Device + £${money2(airtime)} Airtime`;
+  }
+
+  // ---------- Benefits (per tariff, built with DOM APIs — config text is never parsed as HTML)
+  function getBenefitCount(col) {
+    const body = cardNode(col, "benefits");
+    if (!body) return 0;
+    const own = body.hasAttribute(OWN_BENEFITS_ATTR) ? ".vm02-benefit" : "";
+    return body.querySelectorAll(`${CARD_SELECTORS.benefitItem}${own}`).length;
+  }
+
+  function setBenefitsLabel(col, open) {
+    const label = cardNode(col, "benefitsLabel");
+    if (!label) return;
+    const n = getBenefitCount(col);
+    writeText(col, label, open ? " Hide benefits " : ` View (${n}) ${n === 1 ? "benefit" : "benefits"} `);
+  }
+
+  function createBenefit(b) {
+    const item = document.createElement("div");
+    item.className = "new-tariff-promo-block-benefits__offer ng-star-inserted";
+    const p = document.createElement("p");
+
+    if (b.icon) {
+      const img = document.createElement("img");
+      img.className = "vm02-benefit-icon";
+      img.src = b.icon;
+      img.alt = "";
+      p.appendChild(img);
+    }
+
+    if (b.href) {
+      const a = document.createElement("a");
+      a.href = b.href;
+      a.textContent = b.text;
+      if (b.newTab) {
+        a.target = "_blank";
+        a.rel = "noopener";
+        const sr = document.createElement("span");
+        sr.className = "sr-only";
+        sr.textContent = "\u00a0Opens in new tab";
+        a.appendChild(sr);
+      }
+      p.appendChild(a);
+    } else {
+      p.appendChild(document.createTextNode(b.text));
+    }
+
+    item.appendChild(p);
+    return item;
+  }
+
+  // Injected cards get a fresh list. On a native card Angular's items and *ngFor anchors stay
+  // attached (hidden by the stylesheet) with ours beside them, so its own updates still land.
+  function setBenefits(col, benefits) {
+    const body = cardNode(col, "benefits");
+    if (body) {
+      const items = (benefits || DEFAULT_BENEFITS).map(createBenefit);
+      if (col.getAttribute(INJECTED_COL_ATTR) === "true") {
+        body.removeAttribute(OWN_BENEFITS_ATTR);
+        body.replaceChildren(...items);
+      } else {
+        clearOwnBenefits(body);
+        items.forEach((item) => item.classList.add("vm02-benefit"));
+        body.setAttribute(OWN_BENEFITS_ATTR, "true");
+        body.append(...items);
+      }
+    }
+    setBenefitsLabel(col, false);
+  }
+
+  function clearOwnBenefits(body) {
+    body.querySelectorAll(":scope > .vm02-benefit").forEach((n) => n.remove());
+    body.removeAttribute(OWN_BENEFITS_ATTR);
+  }
+
+  // ---------- Offers (per tariff, time-boxed)
+  function isOfferLive(offer, at) {
+    if (!offer) return false;
+    const t = at.getTime();
+    if (offer.start && t < Date.parse(offer.start)) return false;
+    if (offer.end && t > Date.parse(offer.end)) return false;
+    return true;
+  }
+
+  // The arm's offer, else the current device's ("" when neither names one)
+  function getDefaultOfferId() {
+    return armCopy.offer || (currentDevice && currentDevice.offer) || "";
+  }
+
+  // Tariff's own offer, else the default, else null (OFFER block hidden)
+  function resolveOffer(t) {
+    const at = now();
+    const own = t.offer ? OFFER_CONFIG[t.offer] : null;
+    if (isOfferLive(own, at)) return own;
+    const fallback = OFFER_CONFIG[getDefaultOfferId()];
+    return isOfferLive(fallback, at) ? fallback : null;
+  }
+
+  function setOffer(col, offer) {
+    const title = cardNode(col, "offerTitle");
+    const btn = cardNode(col, "offer");
+
+    if (!offer) {
+      if (title) title.style.display = "none";
+      if (btn) btn.style.display = "none";
+      col.removeAttribute("data-vm02-offer");
+      return;
+    }
+
+    if (title) {
+      title.textContent = "OFFER";
+      title.style.display = "";
+    }
+    if (!btn) return;
+    if (col.getAttribute("data-vm02-offer") === offer.id) {
+      btn.style.display = "";
+      return;
+    }
+
+    // Replace just this node to remove existing handlers on cloned markup
+    const newBtn = btn.cloneNode(true);
+    btn.parentNode.replaceChild(newBtn, btn);
+
+    newBtn.style.display = "";
+    newBtn.style.setProperty("--vm02-offer-colour", offer.badgeColour || "");
+    col.setAttribute("data-vm02-offer", offer.id);
+
+    const titleDiv = cardNode(col, "offerLabel");
+    if (titleDiv) {
+      const icon = titleDiv.querySelector("span");
+      titleDiv.textContent = "";
+      if (icon) titleDiv.appendChild(icon);
+      titleDiv.appendChild(document.createTextNode(" " + offer.title));
+    }
+
+    newBtn.addEventListener("click", (e) => {
+      e.preventDefault();
+      const ctx = tariffContext(col);
+      track(EVENTS.offerClick, ctx);
+      openOfferModal(ctx, { offer, opener: newBtn });
+    });
+  }
+
+  // Re-resolve offers on injected cards (offer windows opening/closing while the page is open)
+  function refreshOffers() {
+    document.querySelectorAll(`[${INJECTED_COL_ATTR}="true"]`).forEach((col) => {
+      const meta = injectedMeta.get(col);
+      if (meta) setOffer(col, resolveOffer(meta.tariff));
+    });
+  }
+
+  // Wake up at the next offer start/end so expiry needs no page reload. A boundary more than a
+  // day away gets a daily wake-up that reschedules from there (tabs stay open for days).
+  const OFFER_WAKE_MAX_MS = 24 * 60 * 60 * 1000;
+  let offerTimer = null;
+
+  function scheduleOfferRefresh() {
+    clearTimeout(offerTimer);
+    offerTimer = null;
+    if (!active) return;
+
+    const t = now().getTime();
+    const next = Object.keys(OFFER_CONFIG)
+      .reduce((acc, id) => acc.concat([OFFER_CONFIG[id].start, OFFER_CONFIG[id].end]), [])
+      .filter(Boolean)
+      .map((d) => Date.parse(d) - t)
+      .filter((ms) => ms > 0)
+      .sort((a, b) => a - b)[0];
+    if (next == null) return;
+
+    offerTimer = setTimeout(() => {
+      refreshOffers();
+      scheduleOfferRefresh();
+    }, Math.min(next + 1000, OFFER_WAKE_MAX_MS));
+  }
+
+  // ---------- Accordion (Injected only)
+  // col -> setState(open), kept from wiring so click and keyboard share one code path
+  const accordionState = new WeakMap();
+  let accordionSeq = 0;
+
+  function wireInjectedAccordion(col) {
+    if (accordionState.has(col)) return;
+
+    const header = cardNode(col, "benefitsHeader");
+    const panel = cardNode(col, "benefitsPanel");
+    const content = cardNode(col, "benefitsContent");
+    const icon = cardNode(col, "benefitsIcon");
+
+    if (!header || !content) return;
+
+    header.setAttribute("role", "button");
+    header.tabIndex = 0;
+
+    // Clones share the template's ids (if any), so each injected panel gets its own
+    content.id = `vm02-benefits-${++accordionSeq}`;
+    header.setAttribute("aria-controls", content.id);
+    content.setAttribute("role", "region");
+    const label = cardNode(col, "benefitsLabel");
+    if (label) {
+      label.id = `${content.id}-label`;
+      content.setAttribute("aria-labelledby", label.id);
+    }
+
+    function setState(open) {
+      header.setAttribute("aria-expanded", open ? "true" : "false");
+      header.classList.toggle("mat-expanded", open);
       if (panel) panel.classList.toggle("mat-expanded", open);
 
-      // Let site CSS + your overflow fix do the rest
-      content.style.display = open ? "block" : "none";
-      content.setAttribute("aria-hidden", open ? "false" : "true");
+      // Let site CSS + your overflow fix do the rest
+      content.style.display = open ? "block" : "none";
+      content.setAttribute("aria-hidden", open ? "false" : "true");
+
+      if (icon) icon.style.transform = open ? "rotate(180deg)" : "rotate(0deg)";
+      setBenefitsLabel(col, open);
+    }
+
+    // Always start collapsed on injected cards
+    setState(false);
+    accordionState.set(col, setState);
+  }
+
+  function getInjectedAccordionHeader(e) {
+    const header =
+      e.target && e.target.closest
+        ? e.target.closest(CARD_SELECTORS.benefitsHeader)
+        : null;
+    const col = header ? header.closest(`[${INJECTED_COL_ATTR}="true"]`) : null;
+    return col ? { header, col } : null; // never touch native Angular cards
+  }
+
+  function toggleInjectedAccordion(col, header) {
+    wireInjectedAccordion(col);
+    const setState = accordionState.get(col);
+    if (!setState) return;
+
+    const open = header.getAttribute("aria-expanded") !== "true";
+    setState(open);
+    if (open) track(EVENTS.accordionExpand, tariffContext(col));
+  }
+
+  // Delegated capture handler: reliable for clicks on nested spans/icons
+  function onInjectedAccordionClick(e) {
+    const hit = getInjectedAccordionHeader(e);
+    if (!hit) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    withoutObserving(() => toggleInjectedAccordion(hit.col, hit.header));
+  }
+
+  // Enter / Space on the focused header, as on a native button
+  function onInjectedAccordionKeydown(e) {
+    if (e.key !== "Enter" && e.key !== " " && e.key !== "Spacebar") return;
+    const hit = getInjectedAccordionHeader(e);
+    if (!hit || e.target !== hit.header) return;
+
+    e.preventDefault(); // Space would scroll the page
+    e.stopPropagation();
+    withoutObserving(() => toggleInjectedAccordion(hit.col, hit.header));
+  }
+
+  // "Choose this plan" on injected cards (capture, so it is recorded before any navigation)
+  function onInjectedChoosePlanClick(e) {
+    const cta =
+      e.target && e.target.closest ? e.target.closest(CARD_SELECTORS.choosePlan) : null;
+    if (!cta) return;
+
+    const col = cta.closest(`[${INJECTED_COL_ATTR}="true"]`);
+    if (!col) return;
+
+    track(EVENTS.choosePlan, tariffContext(col));
+  }
+
+  // ---------- Choose this plan (basket hand-off)
+  // URLs get encoded values; form fields are posted raw
+  function fillTemplate(str, values, encode) {
+    return String(str).replace(/\{(\w+)\}/g, (m, k) => {
+      if (values[k] == null) return m;
+      return encode ? encodeURIComponent(values[k]) : String(values[k]);
+    });
+  }
 
-      if (icon) icon.style.transform = open ? "rotate(180deg)" : "rotate(0deg)";
-      if (label) label.textContent = open ? " Hide benefits " : " View (2) benefits ";
+  function basketValues(basket, ctx, t) {
+    return Object.assign(
+      {
+        capacity: ctx.capacity,
+        allowance: t.allowance,
+        upfront: money2(t.upfront),
+        monthly: money2(t.monthly),
+      },
+      basket.params || {},
+      basket.fields || {}
+    );
+  }
+
+  function submitBasketForm(basket, values) {
+    const form = document.createElement("form");
+    form.method = String(basket.method || "POST").toUpperCase();
+    form.action = fillTemplate(basket.action, values, true);
+    form.style.display = "none";
+
+    Object.keys(basket.fields || {}).forEach((name) => {
+      const input = document.createElement("input");
+      input.type = "hidden";
+      input.name = name;
+      input.value = fillTemplate(basket.fields[name], values, false);
+      form.appendChild(input);
+    });
+
+    document.body.appendChild(form);
+    form.submit();
+  }
+
+  function goToBasket(col, cta) {
+    const meta = injectedMeta.get(col);
+    if (!meta) return;
+
+    const { tariff: t } = meta;
+    const ctx = tariffContext(col);
+    const basket = t.basket;
+
+    if (basket && basket.url) {
+      window.location.assign(fillTemplate(basket.url, basketValues(basket, ctx, t), true));
+      return;
+    }
+    if (basket && basket.action) {
+      submitBasketForm(basket, basketValues(basket, ctx, t));
+      return;
     }
 
-    // Always start collapsed on injected cards
-    setState(false);
+    if (CTA_FALLBACK.mode === "modal") {
+      openOfferModal(ctx, { offer: resolveOffer(t), message: CTA_FALLBACK.message, opener: cta });
+    }
+  }
+
+  function setChoosePlan(col, t) {
+    const cta = cardNode(col, "choosePlan");
+    if (!cta) return;
+
+    // Cloned button has lost Angular's handler; replace it so ours is the only one
+    const newCta = cta.cloneNode(true);
+    cta.parentNode.replaceChild(newCta, cta);
+    newCta.setAttribute("aria-label", `Choose this plan ${t.allowance} tariff plan`);
+
+    newCta.addEventListener("click", (e) => {
+      e.preventDefault();
+      goToBasket(col, newCta);
+    });
+  }
+
+  function applyTariff(col, t) {
+    addOnlineExclusiveRoof(col);
+    setAllowance(col, t.allowance);
+    const model = buildPriceModel(t, now());
+    setUpfront(col, model.upfront);
+    setMonthly(col, model.monthly, model);
+    setRises(col, model.rises);
+    setBreakdown(col, model.device, model.airtime);
+    setTotalCost(col, model);
+    setOffer(col, resolveOffer(t));
+    setBenefits(col, t.benefits);
+
+    if (col.getAttribute(INJECTED_COL_ATTR) === "true") {
+      wireInjectedAccordion(col);
+    }
+
+    setChoosePlan(col, t);
+  }
+
+  // ---------- Native card patches (reversible)
+  // Angular's nodes are never rewritten or detached on a native card: our text sits in copies
+  // beside them (writeText) and our benefits beside its items (setBenefits), so bindings and
+  // *ngIf / *ngFor anchors stay live. Reverting takes ours out and unhides theirs.
+  const NATIVE_PATCH_COL_ATTRS = ["style", "data-vm02-allowance", "data-vm02-patched", "data-vm02-hidden"];
+  // Never carried over from the template into an injected card
+  const CLONE_STRIP_ATTRS = ["data-vm02-patched", "data-vm02-hidden", "data-vm02-guardrail"];
+
+  // col -> { capacity, ruleId, attrs: [[name, value]], facets } (facets as O2 rendered the card)
+  const patchedCols = new Map();
+
+  function readNativeAllowance(col) {
+    const span = cardNode(col, "allowance");
+    return span ? normAllowance(span.textContent) : "";
+  }
+
+  function matchesNativeRule(col, match) {
+    if (match.allowance != null && readNativeAllowance(col) !== normAllowance(match.allowance)) {
+      return false;
+    }
+    if (match.monthly != null && !(Math.abs(getColMonthly(col) - match.monthly) <= PENNY)) return false;
+    return true;
+  }
+
+  function patchNativeCard(col, rule, capacity) {
+    const entry = {
+      capacity,
+      ruleId: rule.id,
+      attrs: NATIVE_PATCH_COL_ATTRS.map((name) => [name, col.getAttribute(name)]),
+      facets: getColFacets(col),
+    };
+    patchedCols.set(col, entry);
+
+    if (rule.badge) addOnlineExclusiveRoof(col, typeof rule.badge === "string" ? rule.badge : "");
+    if (rule.allowance != null) setAllowance(col, rule.allowance);
+    if (rule.monthly != null) setMonthly(col, rule.monthly);
+    if (rule.benefits) setBenefits(col, Array.isArray(rule.benefits) ? rule.benefits : DEFAULT_BENEFITS);
+    if (rule.hide) col.setAttribute("data-vm02-hidden", "true");
+    col.setAttribute("data-vm02-patched", rule.id);
+  }
+
+  function revertNativePatch(col) {
+    const entry = patchedCols.get(col);
+    if (!entry) return;
+    patchedCols.delete(col);
+
+    stripPatchNodes(col);
+    entry.attrs.forEach(([name, value]) => {
+      if (value == null) col.removeAttribute(name);
+      else col.setAttribute(name, value);
+    });
+  }
+
+  // Our nodes out of a patched card (or a copy of one), Angular's unhidden
+  function stripPatchNodes(root) {
+    root.querySelectorAll(".vm02-patch-text, .vm02-online-exclusive").forEach((n) => n.remove());
+    root.querySelectorAll(`[${REPLACED_ATTR}]`).forEach((n) => n.removeAttribute(REPLACED_ATTR));
+    const body = cardNode(root, "benefits");
+    if (body) clearOwnBenefits(body);
+  }
+
+  // Copy of the template card with none of our state on it. A patched template gets its saved
+  // attributes back on the copy and our nodes stripped, so a hide / badge / price patch never
+  // leaks into an injected card.
+  function cloneTemplate(templateCol) {
+    const clone = templateCol.cloneNode(true);
+    const entry = patchedCols.get(templateCol);
+    if (entry) {
+      entry.attrs.forEach(([name, value]) => {
+        if (value == null) clone.removeAttribute(name);
+        else clone.setAttribute(name, value);
+      });
+    }
+    stripPatchNodes(clone);
+    CLONE_STRIP_ATTRS.forEach((name) => clone.removeAttribute(name));
+    return clone;
+  }
+
+  function revertAllNativePatches() {
+    Array.from(patchedCols.keys()).forEach(revertNativePatch);
+  }
+
+  // Idempotent: cards already patched for this capacity are left alone; a capacity change
+  // reverts first, then re-matches against the original values.
+  function applyNativePatches() {
+    // Angular dropped these nodes; nothing left to revert
+    patchedCols.forEach((entry, col) => {
+      if (!col.isConnected) patchedCols.delete(col);
+    });
+    if (!nativePatches.length) return;
+
+    const capacity = getSelectedPillCapacity();
+    const rules = nativePatches.filter((r) => !r.capacity || normCapacity(r.capacity) === capacity);
+
+    getAllTariffCols()
+      .filter((col) => col.getAttribute(INJECTED_COL_ATTR) !== "true")
+      .forEach((col) => {
+        const entry = patchedCols.get(col);
+        if (entry && entry.capacity === capacity) return;
+        if (entry) revertNativePatch(col);
+
+        const rule = rules.find((r) => matchesNativeRule(col, r.match || {}));
+        if (rule) patchNativeCard(col, rule, capacity);
+      });
+  }
+
+  // ---------- Filters (facet-aware: AND across groups, OR within a group — like O2's own filter)
+  // Filter group heading -> facet key. Headings that match none of these use their own
+  // normalised text as the key; a checkbox outside any titled group counts as "data".
+  const FILTER_FACETS = {
+    data: /\bdata\b/i,
+    contract: /contract|length/i,
+    price: /price|cost|monthly/i,
+    extras: /extra|benefit|perk/i,
+  };
+
+  function getFacetForBox(box) {
+    const group = box.closest("o2uk-filter");
+    const heading = group
+      ? group.querySelector(
+          ".o2uk-filter__title, .mat-expansion-panel-header-title, legend, h2, h3, h4"
+        )
+      : null;
+    const text = heading ? heading.textContent.trim() : "";
+    if (!text) return "data";
+
+    const key = Object.keys(FILTER_FACETS).find((k) => FILTER_FACETS[k].test(text));
+    return key || text.toLowerCase().replace(/\s+/g, "-");
+  }
+
+  // Label without O2's "(N)" count; facet values are compared with normAllowance
+  function cleanFilterLabel(raw) {
+    return String(raw || "")
+      .replace(/\(\s*\d+\s*\)/g, "")
+      .trim();
+  }
+
+  function getFilterBoxes() {
+    return Array.from(
+      document.querySelectorAll("o2uk-sort-and-filter-wrapper o2uk-checkbox.o2uk-checkbox")
+    ).map((box) => {
+      const p = box.querySelector(".o2uk-checkbox-label p");
+      return {
+        box,
+        p,
+        input: box.querySelector("input.o2uk-checkbox-input"),
+        facet: getFacetForBox(box),
+        checked: box.classList.contains("mat-checkbox-checked"),
+        synth: box.getAttribute(SYNTH_FILTER_ATTR),
+      };
+    });
+  }
+
+  // Map facet -> Set of normalised values ticked in that group
+  function getSelectedFilters() {
+    const selected = new Map();
+    getFilterBoxes().forEach(({ p, facet, checked, synth }) => {
+      if (!checked) return;
+      const label =
+        synth || cleanFilterLabel(p ? p.getAttribute("data-vm02-orig-text") || p.textContent : "");
+      if (!label) return;
+
+      if (!selected.has(facet)) selected.set(facet, new Set());
+      selected.get(facet).add(normAllowance(label));
+    });
+    return selected;
+  }
+
+  function getColAllowance(col) {
+    const attr = col.getAttribute("data-vm02-allowance");
+    if (attr) return attr;
+
+    const span = cardNode(col, "allowance");
+    return span ? normAllowance(span.textContent) : "";
+  }
+
+  // Map facet -> array of normalised values. Data always comes from the card; other facets only
+  // from tariff config (`facets`), so native cards are only known for data.
+  function getColFacets(col) {
+    const facets = new Map([["data", [getColAllowance(col)]]]);
+    const meta = injectedMeta.get(col);
+    const declared = (meta && meta.tariff.facets) || {};
+    Object.keys(declared).forEach((k) => {
+      facets.set(k, [].concat(declared[k]).map(normAllowance));
+    });
+    return facets;
+  }
+
+  // A facet the card declares no value for can't rule it out: native cards are still filtered
+  // by Angular on facets we can't read, and an injected tariff should declare what it wants
+  // to be filtered on.
+  function matchesFilters(col, selected) {
+    const facets = getColFacets(col);
+    return Array.from(selected.entries()).every(([facet, values]) => {
+      if (!values.size || !facets.has(facet)) return true;
+      return facets.get(facet).some((v) => values.has(v));
+    });
+  }
+
+  function applyFiltersToCards() {
+    const selected = getSelectedFilters();
+    const cols = getAllTariffCols();
+    if (!cols.length) return;
+
+    // Cards hidden by a native patch stay hidden whatever the filter says
+    const hidden = (col) => col.getAttribute("data-vm02-hidden") === "true";
+
+    cols.forEach((col) => {
+      col.style.display = !hidden(col) && matchesFilters(col, selected) ? "" : "none";
+    });
+    announceVisibleTariffs(cols);
+  }
+
+  // ---------- Live region (visible tariff count, injected included, for screen readers)
+  const LIVE_REGION_ID = "vm02-live-region";
+  let lastAnnounced = null;
+
+  function ensureLiveRegion() {
+    let region = document.getElementById(LIVE_REGION_ID);
+    if (region) return region;
+
+    region = document.createElement("div");
+    region.id = LIVE_REGION_ID;
+    region.className = "sr-only";
+    region.setAttribute("role", "status");
+    region.setAttribute("aria-live", "polite");
+    region.setAttribute("aria-atomic", "true");
+    document.body.appendChild(region);
+    return region;
+  }
+
+  // The first count is the baseline (and puts the empty region on the page, so screen readers
+  // are already watching it); only changes (filters, capacity switches) are announced
+  function announceVisibleTariffs(cols) {
+    const visible = cols.filter((col) => col.style.display !== "none");
+    const injected = visible.filter((col) => col.getAttribute(INJECTED_COL_ATTR) === "true").length;
+    const key = `${visible.length}|${injected}`;
+    if (key === lastAnnounced) return;
+
+    const first = lastAnnounced === null;
+    lastAnnounced = key;
+    const region = ensureLiveRegion();
+    if (first) return;
+
+    const n = visible.length;
+    let text = `${n} ${n === 1 ? "tariff" : "tariffs"} shown`;
+    if (injected) text += `, ${injected} of them ${armCopy.badge}`;
+    region.textContent = text;
+  }
+
+  // ---------- Filter counts (SAFE: only add injected cards)
+  // Map "facet|VALUE" -> number of injected cards carrying that value
+  function getInjectedFacetCounts() {
+    const counts = new Map();
+    const injected = Array.from(document.querySelectorAll(`[${INJECTED_COL_ATTR}="true"]`));
+    injected.forEach((col) => {
+      getColFacets(col).forEach((values, facet) => {
+        values.forEach((v) => {
+          if (!v) return;
+          const key = `${facet}|${v}`;
+          counts.set(key, (counts.get(key) || 0) + 1);
+        });
+      });
+    });
+    return counts;
+  }
+
+  // What native patches do to O2's counts: a hidden card leaves its options, a re-labelled one
+  // moves from its original allowance to ours
+  function getNativePatchFacetDeltas() {
+    const deltas = new Map();
+    const bump = (facets, by) => {
+      facets.forEach((values, facet) => {
+        values.forEach((v) => {
+          if (v) deltas.set(`${facet}|${v}`, (deltas.get(`${facet}|${v}`) || 0) + by);
+        });
+      });
+    };
+    patchedCols.forEach((entry, col) => {
+      if (!col.isConnected) return;
+      bump(entry.facets, -1);
+      if (col.getAttribute("data-vm02-hidden") !== "true") bump(getColFacets(col), 1);
+    });
+    return deltas;
+  }
+
+  // Originals are re-captured when Angular rewrites a label (e.g. recounting after another
+  // group is ticked): the text then matches neither the original nor what we last wrote.
+  function primeFilterLabelOriginals() {
+    getFilterBoxes().forEach(({ p, input, synth }) => {
+      if (synth) return;
+      if (p) {
+        const current = p.textContent || "";
+        const expected = p.getAttribute("data-vm02-patched-text") || p.getAttribute("data-vm02-orig-text");
+        if (current !== expected) {
+          p.setAttribute("data-vm02-orig-text", current);
+          p.removeAttribute("data-vm02-patched-text");
+        }
+      }
+      if (input && !input.hasAttribute("data-vm02-orig-aria")) {
+        input.setAttribute("data-vm02-orig-aria", input.getAttribute("aria-label") || "");
+      }
+    });
+  }
+
+  function patchFilterCountsAddInjected() {
+    primeFilterLabelOriginals();
+
+    // No early return when nothing is injected: labels must go back to O2's originals
+    const injectedCounts = getInjectedFacetCounts();
+    const patchDeltas = getNativePatchFacetDeltas();
+
+    getFilterBoxes().forEach(({ p, input, facet, synth }) => {
+      if (!p || synth) return;
+
+      const orig = p.getAttribute("data-vm02-orig-text") || p.textContent || "";
+      // orig example: "Unlimited (3)" or "200GB (2)"
+      const m = orig.match(/^\s*([^(]+?)\s*(?:\(\s*(\d+)\s*\))?\s*$/);
+      if (!m) return;
+
+      const labelBase = (m[1] || "").trim();
+      const siteN = parseInt(m[2] || "0", 10) || 0;
+
+      const key = `${facet}|${normAllowance(labelBase)}`;
+      const add = (injectedCounts.get(key) || 0) + (patchDeltas.get(key) || 0);
+      if (!add) {
+        // restore original (important when switching capacities)
+        if (p.textContent !== orig) p.textContent = orig;
+        p.removeAttribute("data-vm02-patched-text");
+        if (input) {
+          const oa = input.getAttribute("data-vm02-orig-aria") || input.getAttribute("aria-label") || "";
+          if (oa) input.setAttribute("aria-label", oa);
+        }
+        return;
+      }
+
+      const nextN = Math.max(siteN + add, 0);
+      const nextText = ` ${labelBase} (${nextN}) `;
+      if (p.textContent !== nextText) p.textContent = nextText;
+      p.setAttribute("data-vm02-patched-text", nextText);
+
+      // aria-label: keep O2’s phrase, just bump number if present
+      if (input) {
+        const origAria = input.getAttribute("data-vm02-orig-aria") || input.getAttribute("aria-label") || "";
+        if (/Select filter by/i.test(origAria)) {
+          const nextAria = origAria
+            .replace(/(\.\s*)\d+\s+items?\s+found/i, `$1${nextN} items found`)
+            .replace(/\.\s*\d+\s+items?\s+found/i, `. ${nextN} items found`);
+          input.setAttribute("aria-label", nextAria);
+        }
+      }
+    });
+  }
+
+  // ---------- Synthetic filter options (injected allowances O2's data filter doesn't list)
+  // Cloned from a native data checkbox, so they look the same but Angular knows nothing about
+  // them: checked state is kept by onSynthFilterChange and cards are filtered by
+  // applyFiltersToCards like any other option.
+  const SYNTH_FILTER_ATTR = "data-vm02-synth";
+
+  function filterOptionText(label, n) {
+    return {
+      text: ` ${label} (${n}) `,
+      aria: `Select filter by ${label}. ${n} items found`,
+    };
+  }
+
+  function writeSynthFilterOption(box, label, n) {
+    const { text, aria } = filterOptionText(label, n);
+    const p = box.querySelector(".o2uk-checkbox-label p");
+    const input = box.querySelector("input.o2uk-checkbox-input");
+    if (p && p.textContent !== text) p.textContent = text;
+    if (input && input.getAttribute("aria-label") !== aria) input.setAttribute("aria-label", aria);
+  }
+
+  function createSynthFilterOption(template, value, label, n) {
+    const box = template.cloneNode(true);
+    box.setAttribute(SYNTH_FILTER_ATTR, value);
+    box.classList.remove("mat-checkbox-checked", "cdk-focused", "cdk-keyboard-focused");
+
+    // Native ids would be duplicated; give the input its own and point the label at it
+    const id = `vm02-filter-${value.toLowerCase().replace(/[^a-z0-9]+/g, "-")}`;
+    box.querySelectorAll("[id]").forEach((el) => el.removeAttribute("id"));
+    box.querySelectorAll("[data-vm02-orig-text], [data-vm02-orig-aria], [data-vm02-patched-text]").forEach((el) => {
+      el.removeAttribute("data-vm02-orig-text");
+      el.removeAttribute("data-vm02-orig-aria");
+      el.removeAttribute("data-vm02-patched-text");
+    });
+
+    const input = box.querySelector("input.o2uk-checkbox-input");
+    if (input) {
+      input.id = id;
+      input.checked = false;
+      if (input.hasAttribute("aria-checked")) input.setAttribute("aria-checked", "false");
+    }
+    box.querySelectorAll("label[for]").forEach((l) => l.setAttribute("for", id));
+
+    writeSynthFilterOption(box, label, n);
+    return box;
+  }
+
+  function removeSynthFilterOptions() {
+    document.querySelectorAll(`[${SYNTH_FILTER_ATTR}]`).forEach((box) => box.remove());
+  }
+
+  // Add / update / drop synthetic options so every injected allowance has one. Writes nothing
+  // when already in sync, as this runs on every observer pass.
+  function syncSynthFilterOptions() {
+    const counts = getInjectedFacetCounts();
+    const boxes = getFilterBoxes().filter((b) => b.facet === "data");
+    const natives = boxes.filter((b) => !b.synth);
+
+    const nativeValues = new Set(
+      natives.map(({ p }) =>
+        normAllowance(cleanFilterLabel(p ? p.getAttribute("data-vm02-orig-text") || p.textContent : ""))
+      )
+    );
+    const wanted = new Map();
+    counts.forEach((n, key) => {
+      const [facet, value] = key.split("|");
+      if (facet === "data" && !nativeValues.has(value)) wanted.set(value, n);
+    });
+
+    boxes.forEach(({ box, synth }) => {
+      if (synth && !wanted.has(synth)) box.remove();
+    });
+    if (!wanted.size || !natives.length) return;
+
+    // Labels read as the config writes the allowance ("75GB"), not its normalised key
+    const labels = new Map();
+    document.querySelectorAll(`[${INJECTED_COL_ATTR}="true"]`).forEach((col) => {
+      const meta = injectedMeta.get(col);
+      if (meta) labels.set(normAllowance(meta.tariff.allowance), meta.tariff.allowance.trim());
+    });
+
+    const template = natives[0].box;
+    let last = natives[natives.length - 1].box;
+    wanted.forEach((n, value) => {
+      const label = labels.get(value) || value;
+      const existing = boxes.find((b) => b.synth === value && b.box.isConnected);
+      if (existing) {
+        writeSynthFilterOption(existing.box, label, n);
+        last = existing.box;
+        return;
+      }
+
+      const box = createSynthFilterOption(template, value, label, n);
+      last.after(box);
+      last = box;
+      log(`synthesized ${value} filter option`);
+    });
+  }
+
+  function onSynthFilterChange(e) {
+    const input = e.target;
+    const box = input && input.closest && input.closest(`[${SYNTH_FILTER_ATTR}]`);
+    if (!box) return;
+
+    box.classList.toggle("mat-checkbox-checked", input.checked);
+    if (input.hasAttribute("aria-checked")) input.setAttribute("aria-checked", String(input.checked));
+  }
+
+  // ---------- Sort (CSS order only: native Angular nodes never move)
+  function getActiveSort() {
+    const wrapper = document.querySelector("o2uk-sort-and-filter-wrapper");
+    if (!wrapper) return null;
+
+    // Native <select>, Material select trigger or radio-style sort, whichever O2 renders
+    const select = wrapper.querySelector("select");
+    const option = select && select.selectedIndex >= 0 ? select.options[select.selectedIndex] : null;
+    const matValue = wrapper.querySelector(".mat-select-value-text");
+    const radio = wrapper.querySelector(".mat-radio-checked .mat-radio-label-content");
+    const txt = (option || matValue || radio || {}).textContent || "";
+
+    if (/low\s*to\s*high/i.test(txt)) return "asc";
+    if (/high\s*to\s*low/i.test(txt)) return "desc";
+    return null;
+  }
+
+  function getColMonthly(col) {
+    return readBlockPrice(col, "monthly");
+  }
+
+  // Price in an O2 price block ("upfront" / "monthly" manifest ids): screen-reader text first,
+  // then the visible integer + decimal. cardNode reads what the card shows, patched or not.
+  function readBlockPrice(col, id) {
+    const sr = cardNode(col, `${id}ScreenReader`);
+    const m = sr ? sr.textContent.match(/£\s*(\d+(?:\.\d+)?)/) : null;
+    if (m) return parseFloat(m[1]);
+
+    const intNode = cardNode(col, id);
+    const decNode = cardNode(col, `${id}Decimal`);
+    const txt = (intNode ? intNode.textContent : "") + (decNode ? decNode.textContent : "");
+    return parseFloat(txt.replace(/[^\d.]/g, ""));
+  }
+
+  function applySortOrder() {
+    const sort = getActiveSort();
+    const rows = Array.from(document.querySelectorAll(".vm02-flex-row"));
+
+    rows.forEach((row) => {
+      const cols = Array.from(row.children).filter((c) => c.querySelector(TEMPLATE_MANIFEST.card));
+
+      if (!sort) {
+        cols.forEach((c) => (c.style.order = ""));
+        return;
+      }
+
+      // Stable: equal (or unreadable) prices keep their DOM order
+      const dir = sort === "asc" ? 1 : -1;
+      cols
+        .map((col, idx) => ({ col, idx, price: getColMonthly(col) }))
+        .sort((a, b) => {
+          const ap = isNaN(a.price) ? Infinity : a.price * dir;
+          const bp = isNaN(b.price) ? Infinity : b.price * dir;
+          return ap - bp || a.idx - b.idx;
+        })
+        .forEach((item, order) => (item.col.style.order = String(order)));
+    });
+  }
+
+  // ---------- Card figures (injected: from config; native: read back from the card DOM)
+  // { allowance, upfront, monthly, device, airtime, rises: [{ label, monthly, date }], months, total }.
+  // Figures a native card doesn't show are NaN (total: null when a rise date can't be read).
+  function readCardModel(col) {
+    const meta = injectedMeta.get(col);
+    if (meta) return Object.assign({ allowance: meta.tariff.allowance }, buildPriceModel(meta.tariff, now()));
+    return scrapeNativeCard(col);
+  }
+
+  // The reverse of applyTariff: what O2 rendered on a native card, as a price model
+  function scrapeNativeCard(col) {
+    const span = cardNode(col, "allowance");
+    const split = cardNode(col, "breakdown");
+    const m = split
+      ? split.textContent.match(/£\s*(\d+(?:\.\d+)?)\s*Device\s*\+\s*£\s*(\d+(?:\.\d+)?)\s*Airtime/i)
+      : null;
+
+    const rises = Array.from(col.querySelectorAll(CARD_SELECTORS.priceRise)).map((item) => {
+      const spans = item.querySelectorAll("span");
+      const label = spans[0] ? spans[0].textContent.trim() : "";
+      const price = spans[1] ? spans[1].textContent.match(/£\s*(\d+(?:\.\d+)?)/) : null;
+      // "From Apr 2026 bill" -> 1 Apr 2026
+      const when = label.match(/\b([A-Z][a-z]{2})[a-z]*\s+(\d{4})\b/);
+      const month = when ? MONTH_NAMES.indexOf(when[1]) : -1;
+      return {
+        label,
+        monthly: price ? parseFloat(price[1]) : NaN,
+        date: month >= 0 ? new Date(+when[2], month, 1) : null,
+      };
+    });
+
+    const upfront = readBlockPrice(col, "upfront");
+    const monthly = getColMonthly(col);
+    const length = cardNode(col, "contractLength");
+    const term = length ? length.textContent.match(/(\d+)\s*-?\s*months?\b/i) : null;
+    const months = term && +term[1] > 0 ? +term[1] : CONTRACT_MONTHS;
+    const readable = [upfront, monthly].every((n) => !isNaN(n)) && rises.every((r) => r.date && !isNaN(r.monthly));
+
+    return {
+      allowance: span ? span.textContent.trim() : "",
+      upfront,
+      monthly,
+      device: m ? parseFloat(m[1]) : NaN,
+      airtime: m ? parseFloat(m[2]) : NaN,
+      rises,
+      months,
+      total: readable ? contractTotal(upfront, monthly, rises, months, now()) : null,
+    };
+  }
+
+  // ---------- Compare drawer (injected + native cards side by side)
+  const COMPARE_ID = "vm02-compare-drawer";
+  const COMPARE_MAX = 3;
+  let compareCols = [];
+  let compareSignature = "";
+  // col -> the slot holding its control; slot -> col
+  const compareSlots = new Map();
+  const slotCols = new WeakMap();
+
+  // One "Compare" checkbox per card, in a slot of ours right after the card's col: nothing is
+  // added inside Angular's cols. Slots follow their col's position, sort order and filtering.
+  function ensureCompareControls() {
+    compareSlots.forEach((slot, col) => {
+      if (col.isConnected) return;
+      slot.remove();
+      compareSlots.delete(col);
+    });
+
+    getAllTariffCols().forEach((col) => {
+      let slot = compareSlots.get(col);
+      if (!slot) {
+        slot = document.createElement("div");
+        slot.className = "vm02-compare-slot";
+        compareSlots.set(col, slot);
+        slotCols.set(slot, col);
+      }
+      if (col.nextElementSibling !== slot) col.after(slot);
+      slot.style.order = col.style.order;
+      slot.style.display = col.style.display === "none" ? "none" : "";
+
+      let control = slot.querySelector(".vm02-compare");
+      if (!control) {
+        control = document.createElement("label");
+        control.className = "vm02-compare";
+        const input = document.createElement("input");
+        input.type = "checkbox";
+        input.className = "vm02-compare__input";
+        const text = document.createElement("span");
+        text.textContent = "Compare";
+        const allowance = cardNode(col, "allowance");
+        if (allowance) input.setAttribute("aria-label", `Compare ${allowance.textContent.trim()} tariff`);
+        control.appendChild(input);
+        control.appendChild(text);
+        slot.appendChild(control);
+      }
+
+      const input = control.querySelector("input");
+      const selected = compareCols.includes(col);
+      const full = compareCols.length >= COMPARE_MAX && !selected;
+      if (input.checked !== selected) input.checked = selected;
+      if (input.disabled !== full) input.disabled = full;
+    });
+  }
+
+  function onCompareChange(e) {
+    const input = e.target;
+    if (!input || !input.classList || !input.classList.contains("vm02-compare__input")) return;
+
+    const col = slotCols.get(input.closest(".vm02-compare-slot"));
+    if (!col) return;
+    compareCols = compareCols.filter((c) => c !== col);
+    if (input.checked && compareCols.length < COMPARE_MAX) compareCols.push(col);
+    withoutObserving(() => {
+      ensureCompareControls();
+      renderCompareDrawer();
+    });
+  }
+
+  function compareMoney(n) {
+    return isNaN(n) || n == null ? "—" : `£${money2(n)}`;
+  }
+
+  function renderCompareDrawer() {
+    // Capacity switches and Angular re-renders drop cards; they leave the comparison too
+    compareCols = compareCols.filter((col) => col.isConnected);
+
+    const models = compareCols.map(readCardModel);
+    const signature = JSON.stringify(models);
+    let drawer = document.getElementById(COMPARE_ID);
+    if (!compareCols.length) {
+      if (drawer) drawer.remove();
+      compareSignature = "";
+      return;
+    }
+    if (drawer && signature === compareSignature) return;
+    compareSignature = signature;
+
+    if (!drawer) {
+      drawer = document.createElement("section");
+      drawer.id = COMPARE_ID;
+      drawer.setAttribute("aria-label", "Tariff comparison");
+      drawer.addEventListener("click", onCompareDrawerClick);
+      document.body.appendChild(drawer);
+    }
+
+    const title = document.createElement("h2");
+    title.className = "vm02-compare__title";
+    title.textContent =
+      compareCols.length > 1 ? `Compare tariffs (${compareCols.length})` : "Select another tariff to compare";
+
+    const table = document.createElement("table");
+    // `srOnly`: a header only screen readers need (the row's buttons speak for themselves)
+    const row = (head, cells, srOnly) => {
+      const tr = document.createElement("tr");
+      const th = document.createElement("th");
+      th.scope = "row";
+      if (srOnly) {
+        const text = document.createElement("span");
+        text.className = "sr-only";
+        text.textContent = head;
+        th.appendChild(text);
+      } else {
+        th.textContent = head;
+      }
+      tr.appendChild(th);
+      cells.forEach((c) => {
+        const td = document.createElement("td");
+        if (c instanceof Node) td.appendChild(c);
+        else td.textContent = c;
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    };
+
+    const maxRises = Math.max(0, ...models.map((m) => m.rises.length));
+    row("Data", models.map((m) => m.allowance || "—"));
+    row("Upfront", models.map((m) => compareMoney(m.upfront)));
+    row("Monthly", models.map((m) => compareMoney(m.monthly)));
+    row("Device", models.map((m) => compareMoney(m.device)));
+    row("Airtime", models.map((m) => compareMoney(m.airtime)));
+    for (let i = 0; i < maxRises; i++) {
+      row(
+        `Price rise ${i + 1}`,
+        models.map((m) => (m.rises[i] ? `${compareMoney(m.rises[i].monthly)} ${m.rises[i].label}` : "—"))
+      );
+    }
+    row(
+      "Total cost",
+      models.map((m) => (m.total == null ? "—" : `${compareMoney(m.total)} over ${m.months} months`))
+    );
+    row(
+      "Actions",
+      compareCols.map((col, idx) => {
+        const wrap = document.createElement("div");
+        const choose = document.createElement("button");
+        choose.type = "button";
+        choose.className = "vm02-compare__choose";
+        choose.setAttribute("data-vm02-compare-idx", String(idx));
+        choose.textContent = "Choose this plan";
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.className = "vm02-compare__remove";
+        remove.setAttribute("data-vm02-compare-idx", String(idx));
+        remove.textContent = "Remove";
+        remove.setAttribute("aria-label", `Remove ${models[idx].allowance} from comparison`);
+        wrap.appendChild(choose);
+        wrap.appendChild(remove);
+        return wrap;
+      }),
+      true
+    );
+
+    const clear = document.createElement("button");
+    clear.type = "button";
+    clear.className = "vm02-compare__clear";
+    clear.textContent = "Clear comparison";
 
-    col.setAttribute("data-vm02-accordion-wired", "true");
+    drawer.replaceChildren(title, table, clear);
+  }
+
+  // Choosing from the drawer clicks the card's own CTA, so basket links, the fallback modal and
+  // analytics all behave exactly as on the card
+  function onCompareDrawerClick(e) {
+    const btn = e.target && e.target.closest ? e.target.closest("button") : null;
+    if (!btn) return;
+
+    const col = compareCols[Number(btn.getAttribute("data-vm02-compare-idx"))];
+    if (btn.classList.contains("vm02-compare__choose")) {
+      const cta = col && cardNode(col, "choosePlan");
+      if (cta) cta.click();
+      return;
+    }
+
+    if (btn.classList.contains("vm02-compare__remove")) compareCols = compareCols.filter((c) => c !== col);
+    if (btn.classList.contains("vm02-compare__clear")) compareCols = [];
+    withoutObserving(() => {
+      ensureCompareControls();
+      renderCompareDrawer();
+    });
   }
 
-  // Delegated capture handler: reliable for clicks on nested spans/icons
-  function onInjectedAccordionClick(e) {
-    const header =
-      e.target && e.target.closest
-        ? e.target.closest(".mat-expansion-panel-header, o2uk-expansion-panel-header")
-        : null;
-    if (!header) return;
+  // ---------- Template health (O2 markup changes must not ship cards with the template's prices)
+  let lastHealth = null;
 
-    const col = header.closest(`[${INJECTED_COL_ATTR}="true"]`);
-    if (!col) return; // never touch native Angular cards
+  function checkTemplateHealth(templateCol) {
+    const nodes = [];
+    ["required", "optional"].forEach((kind) => {
+      Object.keys(TEMPLATE_MANIFEST[kind]).forEach((id) => {
+        const selector = TEMPLATE_MANIFEST[kind][id];
+        nodes.push({ id, selector, required: kind === "required", found: !!templateCol.querySelector(selector) });
+      });
+    });
+    const missing = nodes.filter((n) => !n.found);
+    return {
+      ok: !missing.some((n) => n.required),
+      checkedAt: now().toISOString(),
+      missingRequired: missing.filter((n) => n.required).map((n) => n.id),
+      missingOptional: missing.filter((n) => !n.required).map((n) => n.id),
+      nodes,
+    };
+  }
 
-    wireInjectedAccordion(col);
+  // Logged and tracked when the outcome changes, not on every observer pass
+  function recordTemplateHealth(report) {
+    const key = `${report.missingRequired}|${report.missingOptional}`;
+    const changed = !lastHealth || key !== `${lastHealth.missingRequired}|${lastHealth.missingOptional}`;
+    lastHealth = report;
+    if (!changed) return;
+
+    if (!report.ok) {
+      warn(`template health: missing ${report.missingRequired.join(", ")}; injection aborted`);
+    } else if (report.missingOptional.length) {
+      warn(`template health: missing optional ${report.missingOptional.join(", ")}`);
+    } else {
+      debug("template health: ok");
+    }
+    track(EVENTS.health, {
+      ok: report.ok,
+      missingRequired: report.missingRequired,
+      missingOptional: report.missingOptional,
+    });
+  }
 
-    e.preventDefault();
-    e.stopPropagation();
+  function getHealth() {
+    const grid = findGrid();
+    if (!grid) return { ok: false, reason: "no tariff grid on the page", nodes: [] };
+    return checkTemplateHealth(grid.templateCol);
+  }
 
-    const content =
-      col.querySelector(".mat-expansion-panel-content") || col.querySelector(".o2uk-expansion-panel-content");
-    if (!content) return;
+  // ---------- Guardrails (injected prices vs the native cards on the page)
+  const GUARDRAIL_CHECKS = {
+    cheaperThanNative(t, natives, rule) {
+      const same = natives.filter((n) => normAllowance(n.allowance) === normAllowance(t.allowance));
+      const cheapest = Math.min(...same.map((n) => n.monthly).filter((n) => !isNaN(n)));
+      if (!isFinite(cheapest)) return "";
+      // At least a penny cheaper, or `margin` when that is more
+      const saving = cheapest - t.monthly;
+      return saving >= Math.max(rule.margin || 0, 0.01) - PENNY / 10
+        ? ""
+        : `monthly £${money2(t.monthly)} is not below native ${t.allowance} at £${money2(cheapest)}`;
+    },
+    sameDeviceCost(t, natives) {
+      const same = natives.filter((n) => Math.abs(n.upfront - t.upfront) <= PENNY && !isNaN(n.device));
+      const off = same.find((n) => Math.abs(n.device - t.device) > PENNY);
+      return off ? `device £${money2(t.device)} differs from native £${money2(off.device)}` : "";
+    },
+  };
 
-    const openNow = header.getAttribute("aria-expanded") === "true";
-    const open = !openNow;
+  const VALID_GUARDRAILS = GUARDRAILS.filter((g, idx) => {
+    const ok = g && GUARDRAIL_CHECKS[g.check] && (g.action === "skip" || g.action === "flag");
+    if (!ok) warn(`guardrail ${(g && g.id) || idx} ignored — unknown check or action`);
+    return ok;
+  });
 
-    header.setAttribute("aria-expanded", open ? "true" : "false");
-    header.classList.toggle("mat-expanded", open);
+  const reportedGuardrails = new Set();
+  let guardrailReport = [];
 
-    const panel =
-      col.querySelector(".mat-expansion-panel") || col.querySelector("o2uk-expansion-panel");
-    if (panel) panel.classList.toggle("mat-expanded", open);
+  // What the guardrails compare against. Native cards we patched are showing our own figures, so
+  // they are left out.
+  function readNativeModels(nativeCols) {
+    return nativeCols.filter((col) => !col.hasAttribute("data-vm02-patched")).map(scrapeNativeCard);
+  }
 
-    content.style.display = open ? "block" : "none";
-    content.setAttribute("aria-hidden", open ? "false" : "true");
+  // Changes when O2 re-prices a native card in place, so the guardrails run again
+  function nativeSignature(natives) {
+    return natives.map((n) => [n.allowance, n.upfront, n.monthly, n.device].join("|")).join(";");
+  }
 
-    const label = col.querySelector(".o2uk-inline-accordion__text");
-    if (label) label.textContent = open ? " Hide benefits " : " View (2) benefits ";
+  function checkGuardrails(capacity, tariffs, natives) {
+    guardrailReport = [];
+    const kept = [];
+    tariffs.forEach((t) => {
+      const failed = VALID_GUARDRAILS.map((rule) => ({ rule, reason: GUARDRAIL_CHECKS[rule.check](t, natives, rule) }))
+        .filter((f) => f.reason);
+
+      failed.forEach(({ rule, reason }) => {
+        guardrailReport.push({ capacity, allowance: t.allowance, rule: rule.id, action: rule.action, reason });
+        const key = `${currentDevice && currentDevice.id}|${capacity}|${t.allowance}|${t.monthly}|${rule.id}`;
+        if (reportedGuardrails.has(key)) return;
+        reportedGuardrails.add(key);
+
+        warn(`guardrail ${rule.id}: ${capacity} ${t.allowance} ${rule.action === "skip" ? "skipped" : "flagged"} — ${reason}`);
+        track(EVENTS.guardrail, {
+          capacity,
+          allowance: t.allowance,
+          monthly: t.monthly,
+          rule: rule.id,
+          action: rule.action,
+          reason,
+        });
+      });
 
-    const icon = col.querySelector(".o2uk-panel-icon.o2uk-expansion-indicator");
-    if (icon) icon.style.transform = open ? "rotate(180deg)" : "rotate(0deg)";
+      if (failed.some((f) => f.rule.action === "skip")) return;
+      kept.push({ tariff: t, flags: failed.map((f) => f.rule.id) });
+    });
+    return kept;
   }
 
-  function applyTariff(col, t) {
-    addOnlineExclusiveRoof(col);
-    setAllowance(col, t.allowance);
-    setUpfront(col, t.upfront);
-    setMonthly(col, t.monthly);
-    setRises(col, t.monthly);
-    setBreakdown(col, t.device, t.airtime);
-    setOffer(col);
-    setBenefitsToTwo(col);
-
-    if (col.getAttribute(INJECTED_COL_ATTR) === "true") {
-      wireInjectedAccordion(col);
-    }
+  function removeCompare() {
+    compareCols = [];
+    compareSignature = "";
+    compareSlots.forEach((slot) => slot.remove());
+    compareSlots.clear();
+    const drawer = document.getElementById(COMPARE_ID);
+    if (drawer) drawer.remove();
+  }
 
-    const cta = col.querySelector("button.tariff-card__add-button");
-    if (cta) cta.setAttribute("aria-label", `Choose this plan ${t.allowance} tariff plan`);
+  function applyGridState() {
+    applyNativePatches();
+    syncSynthFilterOptions();
+    applyFiltersToCards();
+    patchFilterCountsAddInjected();
+    applyFlexFixToTariffRows();
+    applySortOrder();
+    ensureCompareControls();
+    renderCompareDrawer();
+    scheduleDebugRender();
   }
 
-  // ---------- Filters (stable)
-  function getSelectedFilterAllowances() {
-    const selected = new Set();
+  // ---------- Placement (per tariff, across every tariff row)
+  // { parent, before } for each tariff, all resolved before anything is inserted. Anchors are
+  // native cols (which never move), so tariffs sharing an anchor keep their config order.
+  // - start: before the first native card; end: after the last one
+  // - adjacent: before the first native card with the same allowance (else start)
+  // - price: before the first native card with a higher monthly price (else end)
+  function resolvePlacements(tariffs, grid) {
+    const { nativeCols } = grid;
+    const first = nativeCols[0];
+    const last = nativeCols[nativeCols.length - 1];
+    const atStart = { parent: first.parentNode, before: first };
+    const atEnd = { parent: last.parentNode, before: last.nextSibling };
+    const before = (col) => ({ parent: col.parentNode, before: col });
+
+    return tariffs.map((t) => {
+      const placement = t.placement || armPlacement;
+      if (placement === "end") return atEnd;
+      if (placement === "adjacent") {
+        const key = normAllowance(t.allowance);
+        const match = nativeCols.find((c) => readNativeAllowance(c) === key);
+        return match ? before(match) : atStart;
+      }
+      if (placement === "price") {
+        const next = nativeCols.find((c) => getColMonthly(c) > t.monthly);
+        return next ? before(next) : atEnd;
+      }
+      return atStart;
+    });
+  }
 
-    const boxes = Array.from(
-      document.querySelectorAll("o2uk-sort-and-filter-wrapper o2uk-checkbox.o2uk-checkbox")
+  // ---------- Injection (idempotent per capacity + upfront)
+  let activated = false;
+  let injectedCount = 0;
+  let injectedUpfront = null; // upfront the current cards were priced for
+  // Native models the guardrails last checked against; null until a pass has checked. Set even
+  // when every tariff was skipped, so an empty result is kept rather than re-checked each pass.
+  let checkedNatives = null;
+
+  // Every tariff row stamped for this capacity, cards priced for the selected upfront against the
+  // same native prices, and none of our cols lost to a partial re-render
+  function isInjectedFor(grid, capacity, upfront) {
+    return (
+      !!capacity &&
+      checkedNatives !== null &&
+      injectedUpfront === upfront &&
+      grid.rows.every((r) => r.getAttribute(INJECTED_ROW_ATTR) === capacity) &&
+      document.querySelectorAll(`[${INJECTED_COL_ATTR}="true"]`).length === injectedCount &&
+      checkedNatives === nativeSignature(readNativeModels(grid.nativeCols))
     );
+  }
 
-    boxes.forEach((box) => {
-      if (!box.classList.contains("mat-checkbox-checked")) return;
+  function inject(capacity) {
+    const grid = findGrid();
+    if (!grid) return false;
+
+    const { rows, templateCol } = grid;
+
+    const configured = capacity ? tariffConfig[capacity] : null;
+    if (!configured) {
+      // Unconfigured capacity: take our cards out rather than leave another capacity's prices
+      if (
+        rows.some((r) => r.hasAttribute(INJECTED_ROW_ATTR)) ||
+        document.querySelector(`[${INJECTED_COL_ATTR}="true"]`)
+      ) {
+        log("no tariff config for selected capacity; injection skipped");
+        removeInjected();
+        rows.forEach((r) => r.removeAttribute(INJECTED_ROW_ATTR));
+        injectedCount = 0;
+        checkedNatives = null;
+        applyGridState();
+      }
+      return true;
+    }
 
-      const p = box.querySelector(".o2uk-checkbox-label p");
-      const raw = p ? p.textContent : "";
-      const cleaned = raw.replace(/\(\s*\d+\s*\)/g, "").trim();
-      if (!cleaned) return;
+    const upfront = getSelectedUpfront();
+    if (isInjectedFor(grid, capacity, upfront)) {
+      applyGridState();
+      return true;
+    }
+
+    const health = checkTemplateHealth(templateCol);
+    recordTemplateHealth(health);
+    if (!health.ok) {
+      // Clean abort: nothing of ours left on the page, natives untouched
+      removeInjected();
+      rows.forEach((r) => r.removeAttribute(INJECTED_ROW_ATTR));
+      injectedCount = 0;
+      checkedNatives = null;
+      applyGridState();
+      return true;
+    }
 
-      selected.add(normAllowance(cleaned));
+    ensureOfferModal();
+    removeInjected();
+
+    // Patch first: which native cards are compared against must not change right after the check
+    applyNativePatches();
+    const natives = readNativeModels(grid.nativeCols);
+    const priced = configured.map((t) => withUpfront(t, upfront));
+    const kept = checkGuardrails(capacity, priced, natives);
+    const tariffs = kept.map((k) => k.tariff);
+    const slots = resolvePlacements(tariffs, grid);
+
+    tariffs.forEach((t, idx) => {
+      const clone = cloneTemplate(templateCol);
+      clone.setAttribute(INJECTED_COL_ATTR, "true");
+      clone.classList.add("vm02-injected-col");
+      if (kept[idx].flags.length) clone.setAttribute("data-vm02-guardrail", kept[idx].flags.join(" "));
+      injectedMeta.set(clone, { capacity, tariff: t });
+      applyTariff(clone, t);
+      slots[idx].parent.insertBefore(clone, slots[idx].before);
+      observeImpression(clone);
     });
 
-    return selected;
-  }
+    rows.forEach((r) => r.setAttribute(INJECTED_ROW_ATTR, capacity));
+    injectedCount = tariffs.length;
+    injectedUpfront = upfront;
+    checkedNatives = nativeSignature(natives);
 
-  function getColAllowance(col) {
-    const attr = col.getAttribute("data-vm02-allowance");
-    if (attr) return attr;
+    if (!activated) {
+      activated = true;
+      track(EVENTS.activated, { capacity });
+    }
 
-    const span = col.querySelector(".new-tariff-card-plan-info__allowance > span");
-    return span ? normAllowance(span.textContent) : "";
+    applyGridState();
+    return true;
   }
 
-  function applyFiltersToCards() {
-    const selected = getSelectedFilterAllowances();
-    const cols = getAllTariffCols();
-    if (!cols.length) return;
+  // ---------- Activation rules
+  function readStorage(key) {
+    try {
+      return window.localStorage.getItem(key);
+    } catch (err) {
+      return null; // storage blocked (privacy mode / sandboxed iframe)
+    }
+  }
 
-    if (!selected || selected.size === 0) {
-      cols.forEach((col) => (col.style.display = ""));
-      return;
+  // Opt-outs and the campaign window: when these block, the variation stays off for the whole
+  // visit and touches nothing (not even history). "" when the variation may run.
+  function getOptOutBlocker() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get(ACTIVATION.optOutParam) === "off") {
+      return `opted out via ?${ACTIVATION.optOutParam}=off`;
+    }
+    if (readStorage(ACTIVATION.optOutStorageKey) === "true") {
+      return `opted out via localStorage ${ACTIVATION.optOutStorageKey}`;
+    }
+    if (ACTIVATION.honourOptimizelyDisable && params.get("optimizely_disable") === "true") {
+      return "optimizely_disable=true";
     }
 
-    cols.forEach((col) => {
-      const a = getColAllowance(col);
-      col.style.display = selected.has(a) ? "" : "none";
-    });
+    const t = now().getTime();
+    if (ACTIVATION.start && t < Date.parse(ACTIVATION.start)) {
+      return `campaign starts ${ACTIVATION.start}`;
+    }
+    if (ACTIVATION.end && t > Date.parse(ACTIVATION.end)) return `campaign ended ${ACTIVATION.end}`;
+    return "";
   }
 
-  // ---------- Filter counts (SAFE: only add injected cards)
-  function getInjectedCountsByAllowance() {
-    const counts = new Map();
-    const injected = Array.from(document.querySelectorAll(`[${INJECTED_COL_ATTR}="true"]`));
-    injected.forEach((col) => {
-      const a = getColAllowance(col);
-      if (!a) return;
-      counts.set(a, (counts.get(a) || 0) + 1);
-    });
-    return counts;
+  // Off-target page: a later SPA navigation may still reach a device page
+  function getTargetBlocker() {
+    const path = window.location.pathname;
+    return VALID_DEVICES.some((d) => d.path.test(path)) ? "" : `path ${path} not targeted`;
   }
 
-  function primeFilterLabelOriginals() {
-    const boxes = Array.from(
-      document.querySelectorAll("o2uk-sort-and-filter-wrapper o2uk-checkbox.o2uk-checkbox")
-    );
+  // Everything that can be decided from the URL, clock and storage. "" when the variation may run.
+  function getActivationBlocker() {
+    return getOptOutBlocker() || getTargetBlocker();
+  }
 
-    boxes.forEach((box) => {
-      const p = box.querySelector(".o2uk-checkbox-label p");
-      const input = box.querySelector("input.o2uk-checkbox-input");
-      if (p && !p.hasAttribute("data-vm02-orig-text")) {
-        p.setAttribute("data-vm02-orig-text", p.textContent || "");
-      }
-      if (input && !input.hasAttribute("data-vm02-orig-aria")) {
-        input.setAttribute("data-vm02-orig-aria", input.getAttribute("aria-label") || "");
-      }
-    });
+  // DEVICES entry for this page: its path, then its product heading. null until the heading
+  // has rendered (or when it names another device, e.g. Angular still showing the last one).
+  function getDeviceForPage() {
+    const path = window.location.pathname;
+    const h1 = document.querySelector("h1");
+    const heading = h1 ? h1.textContent : "";
+    return VALID_DEVICES.find((d) => d.path.test(path) && d.product.test(heading)) || null;
   }
 
-  function patchFilterCountsAddInjected() {
-    primeFilterLabelOriginals();
+  function hasProduct() {
+    return !!getDeviceForPage();
+  }
 
-    const injectedCounts = getInjectedCountsByAllowance();
-    if (!injectedCounts.size) return;
+  // ---------- QA debug panel (opt-in: ?vm02_debug=1 or localStorage "vm02_debug" = "true")
+  const DEBUG_PANEL_ID = "vm02-debug-panel";
+  const TIMELINE_MAX = 25;
+  const reapplyTimeline = [];
 
-    const boxes = Array.from(
-      document.querySelectorAll("o2uk-sort-and-filter-wrapper o2uk-checkbox.o2uk-checkbox")
-    );
+  function isDebugEnabled() {
+    const param = new URLSearchParams(window.location.search).get("vm02_debug");
+    return param === "1" || param === "true" || readStorage("vm02_debug") === "true";
+  }
 
-    boxes.forEach((box) => {
-      const p = box.querySelector(".o2uk-checkbox-label p");
-      const input = box.querySelector("input.o2uk-checkbox-input");
-      if (!p) return;
+  function recordReapply(cap, reinjected, ms) {
+    reapplyTimeline.push({ at: new Date(), cap, reinjected, ms });
+    if (reapplyTimeline.length > TIMELINE_MAX) reapplyTimeline.shift();
+    debug(`observer re-apply (${cap || "no config"})${reinjected ? ", re-injected" : ""}`);
+    scheduleDebugRender();
+  }
 
-      const orig = p.getAttribute("data-vm02-orig-text") || p.textContent || "";
-      // orig example: "Unlimited (3)" or "200GB (2)"
-      const m = orig.match(/^\s*([^(]+?)\s*(?:\(\s*(\d+)\s*\))?\s*$/);
-      if (!m) return;
+  function getDebugState() {
+    const grid = findGrid();
+    const cols = getAllTariffCols();
+    const injected = cols.filter((c) => c.getAttribute(INJECTED_COL_ATTR) === "true").length;
+
+    const filterCounts = Array.from(
+      document.querySelectorAll(
+        "o2uk-sort-and-filter-wrapper o2uk-checkbox.o2uk-checkbox .o2uk-checkbox-label p"
+      )
+    ).map((p) => ({
+      original: (p.getAttribute("data-vm02-orig-text") || p.textContent || "").trim(),
+      patched: (p.textContent || "").trim(),
+    }));
+
+    return {
+      arm: arm ? arm.id : null,
+      device: currentDevice ? currentDevice.id : null,
+      capacity: getSelectedCapacity(),
+      upfront: getSelectedUpfront(),
+      pricedUpfront: injectedUpfront,
+      rowAttrs: grid ? grid.rows.map((r) => r.getAttribute(INJECTED_ROW_ATTR)) : [],
+      injected,
+      native: cols.length - injected,
+      selectedFilters: Array.from(getSelectedFilters().entries()).map(
+        ([facet, values]) => `${facet}: ${Array.from(values).join(", ")}`
+      ),
+      filterCounts,
+      guardrails: guardrailReport.slice(),
+      health: lastHealth,
+      timeline: reapplyTimeline.slice(),
+      observer: getObserverMetrics(),
+    };
+  }
 
-      const labelBase = (m[1] || "").trim();
-      const siteN = parseInt(m[2] || "0", 10) || 0;
+  function switchToNextCapacity() {
+    const caps = Object.keys(tariffConfig);
+    if (!caps.length) return;
+    const next = caps[(caps.indexOf(getSelectedCapacity()) + 1) % caps.length];
 
-      const key = normAllowance(labelBase);
-      const add = injectedCounts.get(key) || 0;
-      if (!add) {
-        // restore original (important when switching capacities)
-        p.textContent = orig;
-        if (input) {
-          const oa = input.getAttribute("data-vm02-orig-aria") || input.getAttribute("aria-label") || "";
-          if (oa) input.setAttribute("aria-label", oa);
-        }
-        return;
-      }
+    const pill = Array.from(document.querySelectorAll("o2uk-pills .o2uk-pills__button")).find(
+      (b) => (normCapacity(b.textContent) || normCapacity(b.getAttribute("aria-label"))) === next
+    );
+    if (pill) pill.click();
+    else warn(`debug: no ${next} pill on this page`);
+  }
 
-      const nextN = siteN + add;
-      p.textContent = ` ${labelBase} (${nextN}) `;
+  function forceReinject() {
+    const grid = findGrid();
+    if (grid) grid.rows.forEach((r) => r.removeAttribute(INJECTED_ROW_ATTR));
+    refresh();
+    scheduleDebugRender();
+  }
 
-      // aria-label: keep O2’s phrase, just bump number if present
-      if (input) {
-        const origAria = input.getAttribute("data-vm02-orig-aria") || input.getAttribute("aria-label") || "";
-        if (/Select filter by/i.test(origAria)) {
-          const nextAria = origAria
-            .replace(/(\.\s*)\d+\s+items?\s+found/i, `$1${nextN} items found`)
-            .replace(/\.\s*\d+\s+items?\s+found/i, `. ${nextN} items found`);
-          input.setAttribute("aria-label", nextAria);
-        }
-      }
+  function ensureDebugPanel() {
+    let panel = document.getElementById(DEBUG_PANEL_ID);
+    if (panel) return panel;
+
+    ensureStyles(); // also for control, where the variation itself never adds it
+    panel = document.createElement("div");
+    panel.id = DEBUG_PANEL_ID;
+    panel.setAttribute("aria-label", "vm02 debug panel");
+
+    const actions = document.createElement("div");
+    [
+      ["Re-inject", forceReinject],
+      ["Next capacity", switchToNextCapacity],
+      ["Open modal", () => openOfferModal(null, { offer: OFFER_CONFIG[getDefaultOfferId()] })],
+    ].forEach(([text, fn]) => {
+      const b = document.createElement("button");
+      b.type = "button";
+      b.textContent = text;
+      b.addEventListener("click", fn);
+      actions.appendChild(b);
     });
-  }
 
-  function applyFiltersCountsAndFlexFix() {
-    applyFiltersToCards();
-    patchFilterCountsAddInjected();
-    applyFlexFixToTariffRows();
-  }
+    const level = document.createElement("select");
+    level.setAttribute("aria-label", "Log level");
+    Object.keys(LOG_LEVELS).forEach((name) => {
+      const o = document.createElement("option");
+      o.value = name;
+      o.textContent = `log: ${name}`;
+      o.selected = LOG_LEVELS[name] === logLevel;
+      level.appendChild(o);
+    });
+    level.addEventListener("change", () => {
+      setLogLevel(level.value);
+      try {
+        window.localStorage.setItem("vm02_log", level.value);
+      } catch (err) {
+        // not persisted; applies to this page view only
+      }
+    });
+    actions.appendChild(level);
 
-  // ---------- Injection (idempotent per capacity)
-  function inject(capacity) {
-    const found = findRowAndTemplate();
-    if (!found) return false;
+    const out = document.createElement("div");
+    out.className = "vm02-debug-panel__state";
 
-    const { row, templateCol } = found;
+    panel.appendChild(actions);
+    panel.appendChild(out);
+    document.body.appendChild(panel);
+    return panel;
+  }
 
-    const alreadyForCap = row.getAttribute(INJECTED_ROW_ATTR) === capacity;
-    const hasInjectedCols = !!row.querySelector(`[${INJECTED_COL_ATTR}="true"]`);
-    if (alreadyForCap && hasInjectedCols) {
-      applyFiltersCountsAndFlexFix();
-      return true;
-    }
+  function renderDebugPanel() {
+    const out = ensureDebugPanel().querySelector(".vm02-debug-panel__state");
+    const st = getDebugState();
+    const section = (title, lines) => {
+      const h = document.createElement("h4");
+      h.textContent = title;
+      const ul = document.createElement("ul");
+      (lines.length ? lines : ["—"]).forEach((t) => {
+        const li = document.createElement("li");
+        li.textContent = t;
+        ul.appendChild(li);
+      });
+      out.appendChild(h);
+      out.appendChild(ul);
+    };
 
-    ensureOfferModal();
-    removeInjected(row);
+    out.textContent = "";
+    section("Arm", [st.arm]);
+    section("Device", [st.device || "none"]);
+    section("Capacity", [
+      `selected: ${st.capacity || "none (no config)"}`,
+      `${INJECTED_ROW_ATTR}: ${st.rowAttrs.map((a) => (a == null ? "unset" : a)).join(", ") || "—"}`,
+    ]);
+    section("Upfront", [
+      `selected: ${st.upfront == null ? "none (no selector)" : `£${money2(st.upfront)}`}`,
+      `cards priced for: ${st.pricedUpfront == null ? "default" : `£${money2(st.pricedUpfront)}`}`,
+    ]);
+    section("Cards", [`injected: ${st.injected}`, `native: ${st.native}`]);
+    section("Selected filters", st.selectedFilters);
+    section(
+      "Filter counts (original → patched)",
+      st.filterCounts.map((c) =>
+        c.original === c.patched ? c.original : `${c.original} → ${c.patched}`
+      )
+    );
+    section(
+      "Template health",
+      st.health
+        ? [
+            st.health.ok ? "ok" : `aborted — missing ${st.health.missingRequired.join(", ")}`,
+            ...(st.health.missingOptional.length ? [`optional missing: ${st.health.missingOptional.join(", ")}`] : []),
+          ]
+        : ["not checked yet"]
+    );
+    section(
+      "Guardrails",
+      st.guardrails.map((g) => `${g.action}: ${g.capacity} ${g.allowance} (${g.rule}) — ${g.reason}`)
+    );
+    section(
+      `Observer re-applies (${st.timeline.length})`,
+      st.timeline
+        .slice()
+        .reverse()
+        .map((e) => {
+          const time = e.at.toISOString().slice(11, 23);
+          const ms = e.ms == null ? "" : ` ${e.ms.toFixed(1)}ms`;
+          return `${time} ${e.cap || "none"}${e.reinjected ? " re-injected" : ""}${ms}`;
+        })
+    );
+    section("Observer cost", [
+      `passes: ${st.observer.passes}, avg ${st.observer.avgMs}ms, max ${st.observer.maxMs.toFixed(1)}ms`,
+      `over ${OBSERVER_BUDGET.passMs}ms: ${st.observer.overBudget}, throttled: ${st.observer.throttled}`,
+      `watching: ${st.observer.targets.join(" + ") || "page (waiting for grid)"}`,
+    ]);
+  }
 
-    const tariffs = TARIFFS[capacity] || TARIFFS["128GB"];
+  let debugPanelOn = false;
+  let debugRenderScheduled = false;
 
-    tariffs.forEach((t) => {
-      const clone = templateCol.cloneNode(true);
-      clone.setAttribute(INJECTED_COL_ATTR, "true");
-      clone.classList.add("vm02-injected-col");
-      applyTariff(clone, t);
-      row.insertBefore(clone, templateCol);
+  function scheduleDebugRender() {
+    if (!debugPanelOn || debugRenderScheduled) return;
+    debugRenderScheduled = true;
+    requestAnimationFrame(() => {
+      debugRenderScheduled = false;
+      if (debugPanelOn) renderDebugPanel();
     });
+  }
 
-    row.setAttribute(INJECTED_ROW_ATTR, capacity);
-
-    applyFiltersCountsAndFlexFix();
-    return true;
+  function enableDebugPanel() {
+    debugPanelOn = true;
+    scheduleDebugRender();
   }
 
-  // ---------- Boot / resilience
-  log("init");
+  api.setLogLevel = setLogLevel;
+  api.debug = { show: enableDebugPanel, state: getDebugState };
+  api.metrics = () => getObserverMetrics();
+  api.health = getHealth;
 
+  // ---------- Boot / resilience
   let lastCap = null;
 
   function refresh() {
@@ -627,91 +3246,545 @@
     inject(cap);
   }
 
-  // Initial polling: wait for Angular to render the first card
-  let attempts = 0;
-  const timer = setInterval(() => {
-    attempts++;
-    const ok = inject(getSelectedCapacity());
-    if (ok || attempts > 40) clearInterval(timer); // ~10s max
-  }, 250);
-
   // Capacity click -> refresh after UI updates
-  document.addEventListener("click", (e) => {
+  function onCapacityClick(e) {
     const btn =
       e.target && e.target.closest ? e.target.closest("o2uk-pills .o2uk-pills__button") : null;
     if (!btn) return;
 
     setTimeout(() => {
+      if (destroyed) return;
       const cap = getSelectedCapacity();
-      if (cap !== lastCap) refresh();
-      else inject(cap);
+      withoutObserving(() => (cap !== lastCap ? refresh() : inject(cap)));
     }, 150);
-  });
+  }
+
+  // Upfront option picked -> re-price injected cards once O2 has re-rendered its own
+  function onUpfrontInteraction(e) {
+    const root =
+      e.target && e.target.closest ? e.target.closest(UPFRONT_SELECTOR.containers.join(", ")) : null;
+    if (!root || root.closest(TEMPLATE_MANIFEST.card)) return;
+
+    setTimeout(() => {
+      if (destroyed) return;
+      withoutObserving(() => inject(getSelectedCapacity()));
+    }, 150);
+  }
 
-  // Filter changes -> apply (and force flex pack)
+  // Filter / sort changes -> apply (and force flex pack). Material sort options render in the
+  // CDK overlay, outside the wrapper.
   function onFilterInteraction(e) {
     const inFilter =
-      e.target && e.target.closest && e.target.closest("o2uk-sort-and-filter-wrapper o2uk-filter");
+      e.target &&
+      e.target.closest &&
+      e.target.closest("o2uk-sort-and-filter-wrapper, .cdk-overlay-container mat-option");
     if (!inFilter) return;
 
     setTimeout(() => {
-      applyFiltersCountsAndFlexFix();
+      if (destroyed) return;
+      withoutObserving(applyGridState);
     }, 0);
   }
-  document.addEventListener("click", onFilterInteraction, true);
-  document.addEventListener("change", onFilterInteraction, true);
 
-  // Injected accordion delegated handler
-  document.addEventListener("click", onInjectedAccordionClick, true);
+  // ---------- Observer (scoped to the tariff grid + filter wrapper, budgeted)
+  // `obs` watches the grid container and the filter wrapper (subtree) — the only DOM we read.
+  // `anchorObs` watches their ancestors' direct children only, to notice Angular swapping a
+  // container out. Until the grid exists (or after it went away) `anchorObs` watches the body
+  // subtree instead, looking for it.
+  const OBSERVER_BUDGET = {
+    passMs: 16, // a slower pass is logged as over budget
+    perSecond: 8, // further passes in the same second wait for the next one
+  };
+  const FILTER_WRAPPER_SELECTOR = "o2uk-sort-and-filter-wrapper";
 
-  // MutationObserver: debounce, but avoid loops
   let obs = null;
+  let anchorObs = null;
+  let observed = [];
   let scheduled = false;
   let writing = false;
 
-  function startObserver() {
+  const observerMetrics = {
+    passes: 0,
+    totalMs: 0,
+    maxMs: 0,
+    lastMs: 0,
+    overBudget: 0,
+    throttled: 0,
+    reattached: 0,
+    ignoredRecords: 0,
+  };
+  let passWindow = { start: 0, count: 0 };
+
+  function getObserverMetrics() {
+    const m = observerMetrics;
+    return Object.assign({}, m, {
+      avgMs: m.passes ? Math.round((m.totalMs / m.passes) * 100) / 100 : 0,
+      targets: observed.map((el) => el.tagName.toLowerCase()),
+    });
+  }
+
+  // Closest element holding every tariff row
+  function getGridContainer() {
+    const grid = findGrid();
+    if (!grid) return null;
+
+    let container = grid.rows[0].parentElement;
+    while (container && !grid.rows.every((r) => container.contains(r))) {
+      container = container.parentElement;
+    }
+    return container;
+  }
+
+  function getObserverTargets() {
+    const targets = [];
+    const grid = getGridContainer();
+    const filters = document.querySelector(FILTER_WRAPPER_SELECTOR);
+    if (grid) targets.push(grid);
+    if (filters && !targets.some((t) => t.contains(filters))) targets.push(filters);
+    return targets;
+  }
+
+  function onAnchorMutations() {
+    if (destroyed || !active) return; // late records after a teardown
+    if (!obs) {
+      if (!getGridContainer()) return;
+    } else {
+      const filters = document.querySelector(FILTER_WRAPPER_SELECTOR);
+      const stale = observed.some((el) => !el.isConnected);
+      if (!stale && !(filters && !observed.some((el) => el.contains(filters)))) return;
+      observerMetrics.reattached++;
+    }
+
+    startObserver();
+    scheduleApply();
+  }
+
+  function stopObserver() {
     if (obs) obs.disconnect();
-    obs = new MutationObserver(() => scheduleApply());
-    obs.observe(document.documentElement, { childList: true, subtree: true });
+    if (anchorObs) anchorObs.disconnect();
+    obs = null;
+    anchorObs = null;
+    observed = [];
+  }
+
+  function startObserver() {
+    stopObserver();
+    observed = getObserverTargets();
+    anchorObs = new MutationObserver(onAnchorMutations);
+
+    if (!getGridContainer()) {
+      // Nothing to scope to yet: look for the grid across the page
+      anchorObs.observe(document.body || document.documentElement, { childList: true, subtree: true });
+      debug("observer: waiting for the tariff grid");
+      return;
+    }
+
+    obs = new MutationObserver(scheduleApply);
+    const anchors = new Set();
+    observed.forEach((target) => {
+      obs.observe(target, { childList: true, subtree: true });
+      for (let el = target.parentElement; el; el = el.parentElement) anchors.add(el);
+    });
+    anchors.forEach((el) => anchorObs.observe(el, { childList: true }));
+    debug(`observer: watching ${observed.map((el) => el.tagName.toLowerCase()).join(" + ")}`);
+  }
+
+  // Runs a DOM write and drops the records it produced, so our own changes never schedule
+  // another pass
+  function withoutObserving(fn) {
+    try {
+      return fn();
+    } finally {
+      if (obs) observerMetrics.ignoredRecords += obs.takeRecords().length;
+      if (anchorObs) anchorObs.takeRecords();
+    }
   }
 
   function scheduleApply() {
     if (scheduled) return;
     scheduled = true;
-    requestAnimationFrame(() => {
+
+    const t = performance.now();
+    if (t - passWindow.start >= 1000) passWindow = { start: t, count: 0 };
+    const run = () => {
       scheduled = false;
       applyFromObserver();
-    });
+    };
+    if (passWindow.count < OBSERVER_BUDGET.perSecond) {
+      requestAnimationFrame(run);
+      return;
+    }
+
+    observerMetrics.throttled++;
+    setTimeout(() => requestAnimationFrame(run), Math.max(0, passWindow.start + 1000 - t));
   }
 
   function applyFromObserver() {
-    if (writing) return;
+    if (writing || destroyed) return;
     writing = true;
-    if (obs) obs.disconnect();
 
+    const t0 = performance.now();
+    if (t0 - passWindow.start >= 1000) passWindow = { start: t0, count: 0 };
+    passWindow.count++;
+
+    let cap = null;
+    let reinject = false;
+    let ran = false;
     try {
-      const cap = getSelectedCapacity();
-      const found = findRowAndTemplate();
-      if (!found) return;
+      withoutObserving(() => {
+        cap = getSelectedCapacity();
+        const grid = findGrid();
+        if (!grid) return;
+        ran = true;
+
+        reinject = !isInjectedFor(grid, cap, getSelectedUpfront());
+        if (reinject) inject(cap);
+
+        // Keep alignment + filter state stable after rerenders
+        applyGridState();
+
+        // Re-wire injected accordions if DOM was swapped
+        getAllTariffCols().forEach((col) => {
+          if (col.getAttribute(INJECTED_COL_ATTR) === "true") wireInjectedAccordion(col);
+        });
+      });
+    } finally {
+      writing = false;
+    }
+    if (!ran) return;
+
+    const ms = performance.now() - t0;
+    const m = observerMetrics;
+    m.passes++;
+    m.totalMs += ms;
+    m.lastMs = ms;
+    m.maxMs = Math.max(m.maxMs, ms);
+    if (ms > OBSERVER_BUDGET.passMs) {
+      m.overBudget++;
+      debug(`observer pass took ${ms.toFixed(1)}ms (budget ${OBSERVER_BUDGET.passMs}ms)`);
+    }
+    recordReapply(cap, reinject, ms);
 
-      const { row } = found;
-      const alreadyForCap = row.getAttribute(INJECTED_ROW_ATTR) === cap;
-      const hasInjectedCols = !!row.querySelector(`[${INJECTED_COL_ATTR}="true"]`);
+    // A re-inject may have replaced what we were watching
+    if (observed.some((el) => !el.isConnected) || !obs) startObserver();
+  }
 
-      if (!hasInjectedCols || !alreadyForCap) inject(cap);
+  // Every page-level listener goes through listen() so destroy() can take them all off again
+  const listeners = [];
 
-      // Keep alignment + filter state stable after rerenders
-      applyFiltersCountsAndFlexFix();
+  function listen(target, type, fn, capture) {
+    target.addEventListener(type, fn, !!capture);
+    listeners.push({ target, type, fn, capture: !!capture });
+  }
 
-      // Re-wire injected accordions if DOM was swapped
-      getAllTariffCols().forEach((col) => {
-        if (col.getAttribute(INJECTED_COL_ATTR) === "true") wireInjectedAccordion(col);
-      });
-    } finally {
-      writing = false;
-      startObserver();
+  function unlistenAll() {
+    listeners.splice(0).forEach(({ target, type, fn, capture }) => {
+      target.removeEventListener(type, fn, capture);
+    });
+  }
+
+  // Listeners + observer only go live once the product is confirmed on the page
+  function startVariation() {
+    ensureStyles();
+    listen(document, "click", onCapacityClick);
+    listen(document, "click", onUpfrontInteraction);
+    listen(document, "change", onUpfrontInteraction);
+    listen(document, "change", onSynthFilterChange, true);
+    listen(document, "change", onCompareChange, true);
+    listen(document, "click", onFilterInteraction, true);
+    listen(document, "change", onFilterInteraction, true);
+
+    // Offer modal: Escape + focus trap (no-op while closed)
+    listen(document, "keydown", onModalKeydown);
+
+    // Injected accordion + CTA delegated handlers
+    listen(document, "click", onInjectedAccordionClick, true);
+    listen(document, "keydown", onInjectedAccordionKeydown, true);
+    listen(document, "click", onInjectedChoosePlanClick, true);
+
+    startObserver();
+  }
+
+  // ---------- Lifecycle (window.vm02.activate / refresh / destroy)
+  // `active` from activate() until destroy(); `destroyed` stops callbacks already queued
+  // (timeouts, animation frames) from writing to the page after a teardown.
+  let active = false;
+  let destroyed = false;
+  let bootTimer = null;
+
+  function activate() {
+    if (active) return true;
+
+    const optOut = getOptOutBlocker();
+    if (optOut) {
+      log(`not activated: ${optOut}`);
+      return false;
+    }
+
+    // Routes are followed even when this page isn't targeted, to pick up a later device page
+    watchRoutes();
+    const blocker = getTargetBlocker();
+    if (blocker) {
+      log(`not activated: ${blocker}`);
+      return false;
     }
+    active = true;
+    destroyed = false;
+
+    scheduleOfferRefresh();
+    if (isDebugEnabled()) enableDebugPanel();
+
+    // Initial polling: wait for Angular to render the product heading, then the first card
+    let started = false;
+    let attempts = 0;
+    bootTimer = setInterval(() => {
+      attempts++;
+      const device = started ? null : getDeviceForPage();
+      if (device) {
+        started = true;
+        setDevice(device);
+        if (arm.control) {
+          // Control: counted, never touches the page
+          clearInterval(bootTimer);
+          track(EVENTS.activated, { capacity: getSelectedPillCapacity() || undefined });
+          return;
+        }
+        startVariation();
+      }
+      const ok = started && withoutObserving(() => inject(getSelectedCapacity()));
+      if (ok || attempts > 40) {
+        clearInterval(bootTimer); // ~10s max
+        if (!started) log("not activated: product heading not found on page");
+      }
+    }, 250);
+    return true;
+  }
+
+  function restoreFilterLabels() {
+    document.querySelectorAll("[data-vm02-orig-text]").forEach((p) => {
+      const orig = p.getAttribute("data-vm02-orig-text");
+      if (p.textContent !== orig) p.textContent = orig;
+      p.removeAttribute("data-vm02-orig-text");
+      p.removeAttribute("data-vm02-patched-text");
+    });
+    document.querySelectorAll("[data-vm02-orig-aria]").forEach((input) => {
+      const orig = input.getAttribute("data-vm02-orig-aria");
+      if (orig) input.setAttribute("aria-label", orig);
+      else input.removeAttribute("aria-label");
+      input.removeAttribute("data-vm02-orig-aria");
+    });
+  }
+
+  // Back to the page as Angular rendered it: our nodes, listeners, observers and timers go,
+  // native nodes get their original text, attributes and inline styles back. Route watching
+  // stays on, so navigating to a device page activates again.
+  function deactivate() {
+    if (!active && !obs && !anchorObs && !document.querySelector(`[${INJECTED_COL_ATTR}]`)) return;
+    active = false;
+    destroyed = true;
+
+    clearInterval(bootTimer);
+    clearTimeout(offerTimer);
+    stopObserver();
+    unlistenAll();
+    if (impressionObs) impressionObs.disconnect();
+    impressionObs = null;
+
+    closeOfferModal();
+    setBackgroundInert(false);
+    document.documentElement.classList.remove("vm02-modal-open");
+    const ownIds = [MODAL_OVERLAY_ID, MODAL_ID, LIVE_REGION_ID, DEBUG_PANEL_ID];
+    ownIds.concat(STYLE_ID).forEach((id) => {
+      const node = document.getElementById(id);
+      if (node) node.remove();
+    });
+    debugPanelOn = false;
+
+    revertAllNativePatches();
+    removeCompare();
+    removeInjected();
+    removeSynthFilterOptions();
+    restoreFilterLabels();
+
+    document.querySelectorAll(`[${INJECTED_ROW_ATTR}], .vm02-flex-row`).forEach((row) => {
+      row.removeAttribute(INJECTED_ROW_ATTR);
+      row.classList.remove("vm02-flex-row");
+      if (!row.getAttribute("class")) row.removeAttribute("class");
+    });
+    getAllTariffCols().forEach((col) => {
+      col.style.display = "";
+      col.style.order = "";
+      if (!col.getAttribute("style")) col.removeAttribute("style");
+    });
+
+    lastCap = null;
+    lastAnnounced = null;
+    injectedCount = 0;
+    injectedUpfront = null;
+    checkedNatives = null;
+    setDevice(null);
+    log("deactivated");
+  }
+
+  // ---------- SPA routes (O2 moves between devices with history.pushState, no page load)
+  const ROUTE_EVENT = "vm02:locationchange";
+  let routeWrappers = null;
+  let routePath = null;
+  let routeTimer = null;
+
+  function watchRoutes() {
+    if (routeWrappers) return;
+    routePath = window.location.pathname;
+
+    routeWrappers = {};
+    ["pushState", "replaceState"].forEach((name) => {
+      const original = history[name];
+      const wrapper = function () {
+        const result = original.apply(this, arguments);
+        window.dispatchEvent(new Event(ROUTE_EVENT));
+        return result;
+      };
+      routeWrappers[name] = { original, wrapper };
+      history[name] = wrapper;
+    });
+    window.addEventListener("popstate", onRouteChange);
+    window.addEventListener(ROUTE_EVENT, onRouteChange);
+  }
+
+  function unwatchRoutes() {
+    if (!routeWrappers) return;
+    clearTimeout(routeTimer);
+    window.removeEventListener("popstate", onRouteChange);
+    window.removeEventListener(ROUTE_EVENT, onRouteChange);
+
+    // Someone may have wrapped history after us; leave theirs in place (ours then only fires
+    // an event nobody listens to)
+    Object.keys(routeWrappers).forEach((name) => {
+      const { original, wrapper } = routeWrappers[name];
+      if (history[name] === wrapper) history[name] = original;
+    });
+    routeWrappers = null;
+  }
+
+  // Angular may push then replace for one navigation; act once the route settles
+  function onRouteChange() {
+    clearTimeout(routeTimer);
+    routeTimer = setTimeout(() => {
+      const path = window.location.pathname;
+      if (path === routePath) return;
+      log(`route: ${routePath} -> ${path}`);
+      routePath = path;
+
+      // Leaving a device page, or swapping to another one: the old cards go either way
+      if (active) deactivate();
+      activated = false; // a new page view
+      activate();
+    }, 0);
+  }
+
+  // Full teardown for experimentation platforms: deactivate and stop following routes
+  function destroy() {
+    unwatchRoutes();
+    deactivate();
+    log("destroyed");
+  }
+
+  api.activate = activate;
+  api.destroy = destroy;
+  // Re-inject for the current capacity from scratch
+  api.refresh = () => {
+    if (!active) return false;
+    withoutObserving(forceReinject);
+    return true;
+  };
+
+  function boot() {
+    log("init");
+    activate();
   }
 
-  startObserver();
+  // Pasted into the page this boots straight away. A test harness sets window.__VM02_TEST__ = true
+  // before evaluating the file: nothing boots and the flag is replaced with the internals, so
+  // scenarios can drive inject / filters / accordions against saved fixtures.
+  if (window.__VM02_TEST__ === true) {
+    log("test hook: boot skipped, internals on window.__VM02_TEST__");
+    window.__VM02_TEST__ = {
+      useArm,
+      hash32,
+      bucketArm,
+      assignArm,
+      INJECTED_COL_ATTR,
+      INJECTED_ROW_ATTR,
+      DEVICES,
+      getTariffConfig: () => tariffConfig,
+      getDeviceForPage,
+      setDevice,
+      onRouteChange,
+      OFFER_CONFIG,
+      normCapacity,
+      normAllowance,
+      validateTariff,
+      validateTariffConfig,
+      buildPriceModel,
+      getSelectedCapacity,
+      getSelectedUpfront,
+      withUpfront,
+      findGrid,
+      getColMonthly,
+      resolvePlacements,
+      getAllTariffCols,
+      inject,
+      refresh,
+      applyGridState,
+      startObserver,
+      getObserverMetrics,
+      applyNativePatches,
+      revertAllNativePatches,
+      validateNativePatches,
+      applyFiltersToCards,
+      applySortOrder,
+      getActiveSort,
+      getFilterBoxes,
+      getSelectedFilters,
+      getColFacets,
+      matchesFilters,
+      getInjectedFacetCounts,
+      syncSynthFilterOptions,
+      removeSynthFilterOptions,
+      patchFilterCountsAddInjected,
+      wireInjectedAccordion,
+      onInjectedAccordionClick,
+      onInjectedAccordionKeydown,
+      announceVisibleTariffs,
+      onInjectedChoosePlanClick,
+      openOfferModal,
+      closeOfferModal,
+      onModalKeydown,
+      resolveOffer,
+      setClock,
+      getActivationBlocker,
+      hasProduct,
+      applyFromObserver,
+      startVariation,
+      addSink,
+      removeSink,
+      createMemorySink,
+      setBenefits,
+      validateBenefits,
+      readCardModel,
+      scrapeNativeCard,
+      checkGuardrails,
+      checkTemplateHealth,
+      getHealth,
+      contractTotal,
+      renderCompareDrawer,
+      onCompareChange,
+      boot,
+      activate,
+      deactivate,
+      destroy,
+    };
+  } else {
+    boot();
+  }
 })();
@@ -0,0 +1,72 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { JSDOM } = require("jsdom");
+const { FIXTURE, SCRIPT, loadPage, injectedCols, allowanceOf } = require("./support");
+
+const DEVICE_URL = "https://www.o2.co.uk/shop/samsung/galaxy-s25-5g";
+
+// Count popstate listeners added after the script loaded
+function countPopstate(window) {
+  const seen = { popstate: 0 };
+  const add = window.addEventListener.bind(window);
+  window.addEventListener = (type, ...rest) => {
+    if (type === "popstate") seen.popstate += 1;
+    return add(type, ...rest);
+  };
+  return seen;
+}
+
+test("an opted-out visit leaves history untouched", (t) => {
+  const page = loadPage({ url: `${DEVICE_URL}?vm02=off` });
+  t.after(page.destroy);
+  const { window, vm } = page;
+  const pushState = window.history.pushState;
+  const seen = countPopstate(window);
+
+  assert.equal(vm.activate(), false);
+  assert.equal(window.history.pushState, pushState);
+  assert.equal(seen.popstate, 0);
+});
+
+test("an off-target page follows routes to pick up a later device page", (t) => {
+  const page = loadPage({ url: "https://www.o2.co.uk/shop/phones" });
+  t.after(page.destroy);
+  const { window, vm } = page;
+  const pushState = window.history.pushState;
+
+  assert.equal(vm.activate(), false);
+  assert.notEqual(window.history.pushState, pushState);
+});
+
+test("no visitor id or arm is stored until the variation may run", (t) => {
+  // Booted for real: the harness would pick the device itself
+  const optedOut = new JSDOM(FIXTURE, { url: `${DEVICE_URL}?vm02=off`, runScripts: "outside-only" });
+  t.after(() => optedOut.window.close());
+  optedOut.window.console.log = () => {};
+  optedOut.window.eval(SCRIPT);
+  assert.equal(optedOut.window.localStorage.length, 0);
+
+  const offTarget = loadPage({ url: "https://www.o2.co.uk/shop/phones" });
+  t.after(offTarget.destroy);
+  offTarget.vm.activate();
+  assert.equal(offTarget.window.localStorage.length, 0);
+
+  // loadPage picks the device, as activation does once the heading renders
+  const page = loadPage({ url: DEVICE_URL });
+  t.after(page.destroy);
+  assert.ok(page.window.localStorage.getItem("vm02_vid"));
+  assert.equal(page.window.localStorage.getItem("vm02_arm_vm02"), page.window.vm02.arm);
+});
+
+test("an arm with its own tariff table injects its own prices", (t) => {
+  const page = loadPage({ url: `${DEVICE_URL}?vm02_arm=b` });
+  t.after(page.destroy);
+  const { document, vm } = page;
+
+  vm.inject("128GB");
+  const col = injectedCols(document).find((c) => allowanceOf(c) === "100GB");
+  const monthly = col.querySelector(".new-tariff-price-block__prices_monthly .sr-only");
+  assert.match(monthly.textContent, /£37\.31 monthly/);
+});
@@ -0,0 +1,64 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, tickFilter, allowanceOf } = require("./support");
+
+// Tick a card's Compare checkbox the way the document-level change listener sees it
+function tickCompare(vm, col) {
+  const input = col.nextElementSibling.querySelector(".vm02-compare__input");
+  input.checked = true;
+  vm.onCompareChange({ target: input });
+}
+
+test("compare controls sit in slots of ours beside each col, never inside Angular's", (t) => {
+  const page = loadPage();
+  t.after(page.destroy);
+  const { document, vm } = page;
+
+  vm.inject("128GB");
+  const cols = vm.getAllTariffCols();
+  assert.equal(cols.length, 6);
+  cols.forEach((col) => {
+    assert.equal(col.querySelector(".vm02-compare"), null);
+    assert.ok(col.nextElementSibling.classList.contains("vm02-compare-slot"));
+  });
+
+  // Filtered-out cards take their control with them
+  tickFilter(document, "Unlimited");
+  vm.applyGridState();
+  cols.forEach((col) => {
+    assert.equal(col.nextElementSibling.style.display, allowanceOf(col) === "Unlimited" ? "" : "none");
+  });
+
+  vm.destroy();
+  assert.equal(document.querySelectorAll(".vm02-compare-slot").length, 0);
+});
+
+test("the drawer labels its action row and totals native cards over their own contract", (t) => {
+  const page = loadPage({
+    edit: (window) => {
+      const info = window.document.querySelector(".new-tariff-card-plan-info__allowance");
+      const length = window.document.createElement("div");
+      length.className = "new-tariff-card-plan-info__contract-length";
+      length.textContent = "24 month contract";
+      info.after(length);
+    },
+  });
+  t.after(page.destroy);
+  const { document, vm } = page;
+
+  vm.inject("128GB");
+  const [first, second] = vm.findGrid().nativeCols;
+  tickCompare(vm, first);
+  tickCompare(vm, second);
+
+  const heads = Array.from(document.querySelectorAll("#vm02-compare-drawer th[scope='row']"));
+  assert.ok(heads.every((th) => th.textContent.trim()));
+  assert.equal(heads[heads.length - 1].querySelector(".sr-only").textContent, "Actions");
+
+  const total = heads.find((th) => th.textContent === "Total cost").parentNode;
+  const cells = Array.from(total.querySelectorAll("td")).map((td) => td.textContent);
+  assert.match(cells[0], /over 24 months$/);
+  assert.match(cells[1], /over 36 months$/);
+});
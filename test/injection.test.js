@@ -0,0 +1,246 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { JSDOM } = require("jsdom");
+const {
+  FIXTURE,
+  SCRIPT,
+  tick,
+  loadPage,
+  selectPill,
+  rebuildGrid,
+  tickFilter,
+  filterLabel,
+  injectedCols,
+  visibleCols,
+  allowanceOf,
+} = require("./support");
+
+test("initial render injects the capacity's tariffs once", (t) => {
+  const page = loadPage();
+  t.after(page.destroy);
+  const { document, vm } = page;
+
+  assert.equal(vm.inject(vm.getSelectedCapacity()), true);
+  const cols = injectedCols(document);
+  assert.deepEqual(cols.map(allowanceOf), ["100GB", "Unlimited"]);
+  assert.equal(document.querySelector(".row").getAttribute(vm.INJECTED_ROW_ATTR), "128GB");
+  const monthly = cols[0].querySelector(".new-tariff-price-block__prices_monthly .sr-only");
+  assert.match(monthly.textContent, /£38\.31 monthly/);
+  assert.equal(cols[0].querySelector(".vm02-online-exclusive").textContent, "Online Exclusive");
+
+  // Idempotent: a second pass keeps the same nodes
+  vm.inject("128GB");
+  assert.deepEqual(injectedCols(document), cols);
+});
+
+test("filter counts add injected cards without compounding", (t) => {
+  const page = loadPage();
+  t.after(page.destroy);
+  const { document, vm } = page;
+
+  vm.inject("128GB");
+  vm.patchFilterCountsAddInjected();
+  vm.patchFilterCountsAddInjected();
+
+  assert.deepEqual(filterLabel(document, "Unlimited"), {
+    text: "Unlimited (3)",
+    aria: "Select filter by Unlimited. 3 items found",
+  });
+  assert.deepEqual(filterLabel(document, "100GB"), {
+    text: "100GB (2)",
+    aria: "Select filter by 100GB. 2 items found",
+  });
+  assert.equal(filterLabel(document, "200GB").text, "200GB (1)");
+});
+
+test("an Angular grid rebuild is re-injected on the next observer pass", (t) => {
+  const page = loadPage();
+  t.after(page.destroy);
+  const { document, vm } = page;
+
+  vm.inject("128GB");
+  rebuildGrid(document);
+  assert.equal(injectedCols(document).length, 0);
+
+  vm.applyFromObserver();
+  assert.deepEqual(injectedCols(document).map(allowanceOf), ["100GB", "Unlimited"]);
+  assert.equal(document.querySelector(".row").getAttribute(vm.INJECTED_ROW_ATTR), "128GB");
+  assert.equal(filterLabel(document, "Unlimited").text, "Unlimited (3)");
+});
+
+test("switching 128GB <-> 256GB swaps the injected tariffs and the synthetic filter option", (t) => {
+  const page = loadPage();
+  t.after(page.destroy);
+  const { document, vm } = page;
+
+  vm.inject("128GB");
+  selectPill(document, "256GB");
+  vm.refresh();
+
+  // The fixture keeps its 128GB native prices, so the 256GB Unlimited (£52.30) is not cheaper
+  // than the native Unlimited and the guardrail leaves it out
+  assert.deepEqual(injectedCols(document).map(allowanceOf), ["75GB"]);
+  assert.equal(document.querySelector(".row").getAttribute(vm.INJECTED_ROW_ATTR), "256GB");
+  // No native 75GB option: the variation adds one with its own count
+  assert.deepEqual(filterLabel(document, "75GB"), {
+    text: "75GB (1)",
+    aria: "Select filter by 75GB. 1 items found",
+  });
+  assert.equal(filterLabel(document, "100GB").text, "100GB (1)");
+
+  selectPill(document, "128GB");
+  vm.refresh();
+  assert.deepEqual(injectedCols(document).map(allowanceOf), ["100GB", "Unlimited"]);
+  assert.equal(document.querySelectorAll("[data-vm02-synth]").length, 0);
+  assert.equal(filterLabel(document, "100GB").text, "100GB (2)");
+});
+
+// O2 re-pricing a native card in place, without re-rendering it
+function repriceNative(vm, allowance, monthly) {
+  vm.findGrid()
+    .nativeCols.filter((col) => allowanceOf(col) === allowance)
+    .forEach((col) => {
+      const sr = col.querySelector(".new-tariff-price-block__prices_monthly .sr-only");
+      sr.textContent = ` £${monthly.toFixed(2)} monthly `;
+    });
+}
+
+test("a native card re-priced in place re-runs the guardrails", (t) => {
+  const page = loadPage();
+  t.after(page.destroy);
+  const { document, vm } = page;
+
+  selectPill(document, "256GB");
+  vm.inject("256GB");
+  assert.deepEqual(injectedCols(document).map(allowanceOf), ["75GB"]);
+
+  // The native Unlimited now costs more than ours, so ours is no longer undercutting itself
+  repriceNative(vm, "Unlimited", 60);
+  vm.applyFromObserver();
+  assert.deepEqual(injectedCols(document).map(allowanceOf), ["75GB", "Unlimited"]);
+});
+
+test("a capacity whose tariffs all fail the guardrails is not re-checked every pass", (t) => {
+  const script = SCRIPT.replace(
+    '{ id: "cheaper-than-native", check: "cheaperThanNative", action: "skip" }',
+    '{ id: "cheaper-than-native", check: "cheaperThanNative", action: "skip", margin: 100 }'
+  );
+  const page = loadPage({ script });
+  t.after(page.destroy);
+  const { document, vm } = page;
+
+  vm.inject("128GB");
+  assert.equal(injectedCols(document).length, 0);
+  vm.applyFromObserver();
+  vm.applyFromObserver();
+  const timeline = [...page.window.vm02.debug.state().timeline];
+  assert.deepEqual(timeline.map((e) => e.reinjected), [false, false]);
+});
+
+test("an unconfigured capacity leaves no injected cards behind", (t) => {
+  const page = loadPage();
+  t.after(page.destroy);
+  const { document, vm } = page;
+
+  vm.inject("128GB");
+  selectPill(document, "512GB");
+  vm.refresh();
+
+  assert.equal(injectedCols(document).length, 0);
+  assert.equal(document.querySelector(".row").hasAttribute(vm.INJECTED_ROW_ATTR), false);
+  assert.equal(filterLabel(document, "Unlimited").text, "Unlimited (2)");
+});
+
+test("ticking filters hides cards outside the selection, injected ones included", (t) => {
+  const page = loadPage();
+  t.after(page.destroy);
+  const { document, vm } = page;
+
+  vm.inject("128GB");
+  tickFilter(document, "Unlimited");
+  vm.applyGridState();
+  assert.deepEqual(visibleCols(vm).map(allowanceOf), ["Unlimited", "Unlimited", "Unlimited"]);
+
+  // OR within a group
+  tickFilter(document, "100GB");
+  vm.applyGridState();
+  assert.deepEqual(visibleCols(vm).map(allowanceOf).sort(), [
+    "100GB",
+    "100GB",
+    "Unlimited",
+    "Unlimited",
+    "Unlimited",
+  ]);
+
+  tickFilter(document, "Unlimited", false);
+  tickFilter(document, "100GB", false);
+  vm.applyGridState();
+  assert.equal(visibleCols(vm).length, 6);
+  assert.equal(filterLabel(document, "Unlimited").aria, "Select filter by Unlimited. 3 items found");
+});
+
+test("injected accordions toggle their own panel and label", (t) => {
+  const page = loadPage();
+  t.after(page.destroy);
+  const { window, document, vm } = page;
+  document.addEventListener("click", vm.onInjectedAccordionClick, true);
+
+  vm.inject("128GB");
+  const col = injectedCols(document)[0];
+  const header = col.querySelector(".mat-expansion-panel-header");
+  const label = col.querySelector(".o2uk-inline-accordion__text");
+  assert.equal(label.textContent.trim(), "View (2) benefits");
+  assert.equal(header.getAttribute("aria-expanded"), "false");
+
+  header.dispatchEvent(new window.MouseEvent("click", { bubbles: true }));
+  assert.equal(header.getAttribute("aria-expanded"), "true");
+  assert.equal(label.textContent.trim(), "Hide benefits");
+  const panel = document.getElementById(header.getAttribute("aria-controls"));
+  assert.equal(panel.getAttribute("role"), "region");
+});
+
+test("benefit links and icons must be http(s) or relative URLs", (t) => {
+  const page = loadPage();
+  t.after(page.destroy);
+  const { vm } = page;
+
+  const ok = [
+    { text: "Disney+", href: "https://www.o2.co.uk/disney", icon: "/icons/disney.svg" },
+    { text: "Extras", href: "extras?ref=vm02" },
+  ];
+  assert.deepEqual([...vm.validateBenefits(ok)], []);
+
+  const bad = [
+    { text: "Script", href: "javascript:alert(1)" },
+    { text: "Data icon", icon: "data:image/svg+xml,<svg/>" },
+    { text: "Bad URL", href: "http://[" },
+  ];
+  assert.deepEqual(
+    [...vm.validateBenefits(bad)],
+    [
+      "benefits[0].href must be an http(s) or relative URL",
+      "benefits[1].icon must be an http(s) or relative URL",
+      "benefits[2].href must be an http(s) or relative URL",
+    ]
+  );
+});
+
+test("pasted into the page it boots, even when the page defines a global `module`", async (t) => {
+  const dom = new JSDOM(FIXTURE, {
+    url: "https://www.o2.co.uk/shop/samsung/galaxy-s25-5g?vm02_arm=a",
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+  });
+  t.after(() => dom.window.vm02.destroy() || dom.window.close());
+  const { window } = dom;
+  window.console.log = window.console.info = window.console.warn = () => {};
+  window.module = { exports: {} };
+
+  window.eval(SCRIPT);
+  await tick(400); // first boot poll runs at 250ms
+  assert.equal(window.__VM02_TEST__, undefined);
+  assert.deepEqual(window.module.exports, {});
+  assert.equal(window.document.querySelectorAll('[data-vm02-injected-col="true"]').length, 2);
+});
@@ -0,0 +1,173 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { SCRIPT, loadPage, selectPill, injectedCols, allowanceOf, filterLabel } = require("./support");
+
+// data-vm02-guardrail is left out: injection sets it itself when a tariff is flagged
+const PATCH_ATTRS = ["data-vm02-patched", "data-vm02-hidden"];
+
+// Arm "a" with the given nativePatches rules
+function withPatches(rules) {
+  return SCRIPT.replace(
+    'copy: { badge: "Online Exclusive" },',
+    `copy: { badge: "Online Exclusive" }, nativePatches: ${JSON.stringify(rules)},`
+  );
+}
+
+function assertUnpatched(col) {
+  PATCH_ATTRS.forEach((name) => assert.equal(col.hasAttribute(name), false, `${name} on injected card`));
+  assert.notEqual(col.style.display, "none");
+  const badges = Array.from(col.querySelectorAll(".vm02-online-exclusive")).map((b) => b.textContent);
+  assert.deepEqual(badges, ["Online Exclusive"]);
+}
+
+test("injected cards never inherit a patch from the native card they are cloned from", (t) => {
+  const rules = [{ id: "hide-unl", match: { allowance: "Unlimited" }, hide: true, badge: "PATCHED" }];
+  const page = loadPage({ script: withPatches(rules) });
+  t.after(page.destroy);
+  const { document, vm } = page;
+
+  vm.inject("128GB");
+  assert.equal(document.querySelectorAll('[data-vm02-patched="hide-unl"]').length, 2);
+
+  selectPill(document, "256GB");
+  vm.refresh();
+  vm.refresh();
+  const cols = injectedCols(document);
+  assert.ok(cols.length > 0);
+  cols.forEach(assertUnpatched);
+});
+
+test("a patched template is restored on the clone when every native card is patched", (t) => {
+  const rules = [
+    { id: "p-unl", match: { allowance: "Unlimited" }, hide: true, badge: "PATCHED", monthly: 1 },
+    { id: "p-100", match: { allowance: "100GB" }, hide: true, badge: "PATCHED", allowance: "100GB+" },
+    { id: "p-200", match: { allowance: "200GB" }, hide: true, badge: "PATCHED" },
+  ];
+  const page = loadPage({ script: withPatches(rules) });
+  t.after(page.destroy);
+  const { document, vm } = page;
+
+  vm.inject("128GB");
+  const natives = vm.findGrid().nativeCols;
+  assert.ok(natives.every((col) => col.hasAttribute("data-vm02-patched")));
+
+  // Force a fresh clone from a patched template
+  vm.refresh();
+  document.querySelector(".row").removeAttribute(vm.INJECTED_ROW_ATTR);
+  vm.inject("128GB");
+
+  const cols = injectedCols(document);
+  assert.deepEqual(cols.map(allowanceOf), ["100GB", "Unlimited"]);
+  cols.forEach(assertUnpatched);
+  cols.forEach((col) => {
+    const sr = col.querySelector(".new-tariff-price-block__prices_monthly .sr-only").textContent;
+    assert.doesNotMatch(sr, /£1\.00/);
+  });
+});
+
+test("a benefits patch keeps Angular's list items and anchors attached", (t) => {
+  const rules = [
+    { id: "unl-benefits", capacity: "128GB", match: { allowance: "Unlimited" }, benefits: true },
+  ];
+  const page = loadPage({ script: withPatches(rules) });
+  t.after(page.destroy);
+  const { window, document, vm } = page;
+
+  vm.inject("128GB");
+  const native = vm.findGrid().nativeCols.find((col) => col.hasAttribute("data-vm02-patched"));
+  const body = native.querySelector(".new-tariff-promo-block-benefits__container");
+  const angularItem = body.querySelector(".new-tariff-promo-block-benefits__offer");
+  const anchor = Array.from(body.childNodes).find((n) => n.nodeType === window.Node.COMMENT_NODE);
+
+  assert.equal(angularItem.isConnected, true);
+  assert.equal(anchor.parentNode, body);
+  assert.equal(body.querySelectorAll(".vm02-benefit").length, 2);
+  const labels = Array.from(native.querySelectorAll(".o2uk-inline-accordion__text"));
+  // Angular's label keeps its text behind ours
+  assert.deepEqual(
+    labels.map((n) => [n.textContent.trim(), n.hasAttribute("data-vm02-replaced")]),
+    [
+      ["View (4) benefits", true],
+      ["View (2) benefits", false],
+    ]
+  );
+  assert.equal(window.getComputedStyle(angularItem).display, "none");
+
+  // Angular's *ngFor inserts against its anchor while the patch is on
+  const added = document.createElement("div");
+  added.className = "new-tariff-promo-block-benefits__offer";
+  added.textContent = "Angular update";
+  body.insertBefore(added, anchor);
+
+  selectPill(document, "512GB");
+  vm.refresh();
+  assert.equal(native.hasAttribute("data-vm02-patched"), false);
+  assert.equal(body.hasAttribute("data-vm02-benefits"), false);
+  assert.deepEqual(
+    Array.from(body.children).map((n) => n.textContent),
+    ["Native benefit", "Angular update"]
+  );
+});
+
+// Angular's *ngIf fair-usage link under every native Unlimited allowance
+function addFairUsageLinks(window) {
+  window.document.querySelectorAll(".new-tariff-card-plan-info__allowance").forEach((block) => {
+    if (block.textContent.trim() !== "Unlimited") return;
+    const link = window.document.createElement("div");
+    link.className = "new-tariff-card-plan-info__fair-usage-link";
+    link.innerHTML = '<a href="/fair-usage">Fair usage applies</a>';
+    block.append(link, window.document.createComment(""));
+  });
+}
+
+test("an allowance and price patch writes beside Angular's nodes, never over them", (t) => {
+  const rules = [
+    { id: "unl-150", capacity: "128GB", match: { allowance: "Unlimited" }, allowance: "150GB", monthly: 44.99 },
+  ];
+  const page = loadPage({ script: withPatches(rules), edit: addFairUsageLinks });
+  t.after(page.destroy);
+  const { document, vm } = page;
+
+  const native = vm.findGrid().nativeCols[0];
+  const span = native.querySelector(".new-tariff-card-plan-info__allowance > span");
+  const text = span.firstChild;
+  const link = native.querySelector(".new-tariff-card-plan-info__fair-usage-link");
+
+  vm.inject("128GB");
+  assert.equal(native.getAttribute("data-vm02-patched"), "unl-150");
+  assert.equal(text.parentNode, span);
+  assert.equal(text.data, "Unlimited");
+  assert.equal(span.nextElementSibling.textContent, "150GB");
+  assert.equal(link.isConnected, true);
+  assert.equal(page.window.getComputedStyle(link).display, "none");
+  assert.equal(vm.getColMonthly(native), 44.99);
+
+  selectPill(document, "512GB");
+  vm.refresh();
+  assert.equal(native.hasAttribute("data-vm02-patched"), false);
+  assert.equal(native.querySelectorAll(".vm02-patch-text, [data-vm02-replaced]").length, 0);
+  assert.equal(span.firstChild, text);
+  assert.equal(page.window.getComputedStyle(link).display, "block");
+  assert.equal(vm.getColMonthly(native), 47);
+});
+
+test("filter counts follow native cards a patch hides or re-labels", (t) => {
+  const rules = [
+    { id: "hide-unl", capacity: "128GB", match: { allowance: "Unlimited", monthly: 55 }, hide: true },
+    { id: "unl-100", capacity: "128GB", match: { allowance: "Unlimited" }, allowance: "100GB" },
+  ];
+  const page = loadPage({ script: withPatches(rules) });
+  t.after(page.destroy);
+  const { document, vm } = page;
+
+  vm.inject("128GB");
+  // 2 native + 1 injected Unlimited, less the hidden one and the re-labelled one
+  assert.deepEqual(filterLabel(document, "Unlimited"), {
+    text: "Unlimited (1)",
+    aria: "Select filter by Unlimited. 1 items found",
+  });
+  // 1 native + 1 injected 100GB, plus the re-labelled Unlimited
+  assert.equal(filterLabel(document, "100GB").text, "100GB (3)");
+});
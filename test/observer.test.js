@@ -0,0 +1,39 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, injectedCols, tick } = require("./support");
+
+test("toggling an injected accordion does not schedule an observer pass", async (t) => {
+  const page = loadPage();
+  t.after(page.destroy);
+  const { window, document, vm } = page;
+  document.addEventListener("click", vm.onInjectedAccordionClick, true);
+  document.addEventListener("keydown", vm.onInjectedAccordionKeydown, true);
+
+  vm.inject("128GB");
+  vm.startObserver();
+  const header = injectedCols(document)[0].querySelector(".mat-expansion-panel-header");
+
+  header.dispatchEvent(new window.MouseEvent("click", { bubbles: true }));
+  header.dispatchEvent(new window.KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+  await tick(100);
+
+  assert.equal(header.getAttribute("aria-expanded"), "false"); // opened, then closed again
+  const metrics = vm.getObserverMetrics();
+  assert.equal(metrics.passes, 0);
+  assert.ok(metrics.ignoredRecords > 0);
+});
+
+test("a native change inside the grid still schedules a pass", async (t) => {
+  const page = loadPage();
+  t.after(page.destroy);
+  const { document, vm } = page;
+
+  vm.inject("128GB");
+  vm.startObserver();
+  document.querySelector(".row").appendChild(document.createElement("div"));
+  await tick(100);
+
+  assert.equal(vm.getObserverMetrics().passes, 1);
+});
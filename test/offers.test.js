@@ -0,0 +1,58 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { SCRIPT, loadPage, injectedCols } = require("./support");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Long timers (the offer wake-up) are recorded instead of scheduled
+function recordLongTimers(window, timers) {
+  const real = window.setTimeout.bind(window);
+  window.setTimeout = (fn, ms, ...args) => {
+    if (ms < 60 * 60 * 1000) return real(fn, ms, ...args);
+    timers.push({ fn, ms });
+    return 0;
+  };
+}
+
+test("an offer ending days away gets a daily wake-up that reschedules, none after destroy", (t) => {
+  const timers = [];
+  // The default offer ends 2026-01-31T23:59:59Z
+  const page = loadPage({
+    url: "https://www.o2.co.uk/shop/samsung/galaxy-s25-5g?vm02_arm=a&vm02_now=2026-01-28T00:00:00Z",
+    edit: (window) => recordLongTimers(window, timers),
+  });
+  t.after(page.destroy);
+  const { window, vm } = page;
+
+  assert.equal(vm.activate(), true);
+  assert.deepEqual(timers.map((x) => x.ms), [DAY]);
+
+  // A day later the wake-up reschedules from the new time
+  window.vm02.setClock("2026-01-31T12:00:00Z");
+  timers[0].fn();
+  assert.equal(timers[timers.length - 1].ms, DAY / 2); // 11:59:59 to the end, plus a 1s margin
+
+  vm.destroy();
+  const before = timers.length;
+  window.vm02.setClock("2026-01-30T00:00:00Z");
+  assert.equal(timers.length, before);
+});
+
+test("cards use their device's offer, and a device without one shows no other device's copy", (t) => {
+  const url = "https://www.o2.co.uk/shop/samsung/galaxy-s25-5g?vm02_arm=a&vm02_now=2026-01-28T00:00:00Z";
+  const own = loadPage({ url });
+  t.after(own.destroy);
+  own.vm.inject("128GB");
+  const label = injectedCols(own.document)[0].querySelector(".new-tariff-promo-block-primary__title");
+  assert.match(label.textContent, /Galaxy S25/);
+
+  const script = SCRIPT.replace('      offer: "s25-jan",\n', "");
+  const none = loadPage({ url, script });
+  t.after(none.destroy);
+  none.vm.inject("128GB");
+  const col = injectedCols(none.document)[0];
+  assert.equal(col.querySelector(".new-tariff-promo-block-primary__container").style.display, "none");
+  assert.equal(col.hasAttribute("data-vm02-offer"), false);
+});
@@ -0,0 +1,22 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, tick } = require("./support");
+
+test("the debug panel is styled from the one themed stylesheet", async (t) => {
+  const page = loadPage();
+  t.after(page.destroy);
+  const { window, document, vm } = page;
+
+  vm.inject("128GB");
+  window.vm02.debug.show();
+  await tick(100);
+
+  assert.ok(document.getElementById("vm02-debug-panel"));
+  const styles = Array.from(document.querySelectorAll("style"));
+  assert.deepEqual(styles.map((s) => s.id), ["vm02-style"]);
+  assert.match(styles[0].textContent, /#vm02-debug-panel h4 \{[^}]*color: #c9a0dc;/);
+  const panel = document.getElementById("vm02-debug-panel");
+  assert.equal(window.getComputedStyle(panel).position, "fixed");
+});
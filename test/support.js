@@ -0,0 +1,97 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, "fixtures/o2-tariff-grid.html"), "utf8");
+const SCRIPT = fs.readFileSync(path.join(__dirname, "../src/variation.js"), "utf8");
+const PAGE_URL = "https://www.o2.co.uk/shop/samsung/galaxy-s25-5g?vm02_arm=a";
+
+// Saved O2 page in jsdom with the variation evaluated behind the testing hook (nothing boots).
+// `edit(window)` runs before the script, e.g. to change the fixture or seed storage.
+function loadPage({ url = PAGE_URL, edit, script = SCRIPT } = {}) {
+  const dom = new JSDOM(FIXTURE, { url, runScripts: "outside-only", pretendToBeVisual: true });
+  const { window } = dom;
+  const logs = [];
+  ["log", "info", "warn", "error", "debug"].forEach((level) => {
+    window.console[level] = (...a) => logs.push(`${level}: ${a.join(" ")}`);
+  });
+  if (edit) edit(window);
+
+  window.__VM02_TEST__ = true;
+  window.eval(script);
+  const vm = window.__VM02_TEST__;
+  vm.setDevice(vm.getDeviceForPage());
+
+  // destroy: tear the variation down (observers, timers, listeners) before the window goes
+  const destroy = () => {
+    vm.destroy();
+    window.close();
+  };
+  return { window, document: window.document, vm, logs, destroy };
+}
+
+// Select a capacity pill the way O2 does: the selected class moves, then the cards re-render
+function selectPill(document, capacity) {
+  document.querySelectorAll("o2uk-pills .o2uk-pills__button").forEach((btn) => {
+    const on = btn.querySelector(".o2uk-pills__label").textContent.trim() === capacity;
+    btn.classList.toggle("o2uk-pills__button_selected", on);
+  });
+}
+
+// Angular-style rebuild: the whole grid is replaced with freshly rendered native cards
+function rebuildGrid(document) {
+  const fresh = new JSDOM(FIXTURE).window.document.querySelector(".grid");
+  document.querySelector(".grid").replaceWith(document.importNode(fresh, true));
+}
+
+function filterBox(document, label) {
+  return Array.from(document.querySelectorAll("o2uk-sort-and-filter-wrapper o2uk-checkbox")).find(
+    (box) => box.querySelector(".o2uk-checkbox-label p").textContent.trim().startsWith(label)
+  );
+}
+
+// Tick / untick a filter option the way Material renders it
+function tickFilter(document, label, on = true) {
+  const box = filterBox(document, label);
+  box.classList.toggle("mat-checkbox-checked", on);
+  box.querySelector("input").checked = on;
+  return box;
+}
+
+function filterLabel(document, label) {
+  const box = filterBox(document, label);
+  return {
+    text: box.querySelector(".o2uk-checkbox-label p").textContent.trim(),
+    aria: box.querySelector("input").getAttribute("aria-label"),
+  };
+}
+
+function injectedCols(document) {
+  return Array.from(document.querySelectorAll('[data-vm02-injected-col="true"]'));
+}
+
+function visibleCols(vm) {
+  return [...vm.getAllTariffCols()].filter((col) => col.style.display !== "none");
+}
+
+function allowanceOf(col) {
+  return col.querySelector(".new-tariff-card-plan-info__allowance > span").textContent.trim();
+}
+
+const tick = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = {
+  FIXTURE,
+  SCRIPT,
+  loadPage,
+  selectPill,
+  rebuildGrid,
+  tickFilter,
+  filterLabel,
+  injectedCols,
+  visibleCols,
+  allowanceOf,
+  tick,
+};
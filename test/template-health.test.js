@@ -0,0 +1,71 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { SCRIPT, loadPage, injectedCols } = require("./support");
+
+// Rename a class across the fixture, as an O2 release would
+function renamed(window, from, to) {
+  window.document.querySelectorAll(`.${from}`).forEach((node) => {
+    node.classList.replace(from, to);
+  });
+}
+
+test("a required manifest node missing from the template aborts injection", (t) => {
+  const page = loadPage({
+    edit: (window) => renamed(window, "new-tariff-price-block__monthly-cost-amount", "o2-cost-split"),
+  });
+  t.after(page.destroy);
+  const { document, vm } = page;
+
+  vm.inject("128GB");
+  assert.equal(injectedCols(document).length, 0);
+  assert.deepEqual([...vm.getHealth().missingRequired], ["breakdown"]);
+});
+
+test("setters write where the manifest points, so updating the manifest is the whole fix", (t) => {
+  const script = SCRIPT.replace(
+    'breakdown: ".new-tariff-price-block__monthly-cost-amount > div"',
+    'breakdown: ".o2-cost-split > div"'
+  );
+  const page = loadPage({
+    script,
+    edit: (window) => renamed(window, "new-tariff-price-block__monthly-cost-amount", "o2-cost-split"),
+  });
+  t.after(page.destroy);
+  const { document, vm } = page;
+
+  vm.inject("128GB");
+  assert.equal(vm.getHealth().ok, true);
+  const col = injectedCols(document)[0];
+  assert.equal(col.querySelector(".o2-cost-split > div").textContent, "£21.36 Device + £16.95 Airtime");
+  // The total sits after the breakdown block it was anchored to
+  assert.equal(col.querySelector(".o2-cost-split").nextElementSibling.className, "vm02-total-cost");
+});
+
+test("the card, its col and its accordion are all found through the manifest", (t) => {
+  const script = SCRIPT.replace(
+    'card: "o2uk-commercial-tariff-card.tariff-card"',
+    'card: "o2uk-commercial-tariff-card.o2-card"'
+  ).replace(
+    'benefitsContent: ".mat-expansion-panel-content, .o2uk-expansion-panel-content"',
+    'benefitsContent: ".o2-panel-body"'
+  );
+  const page = loadPage({
+    script,
+    edit: (window) => {
+      renamed(window, "tariff-card", "o2-card");
+      renamed(window, "mat-expansion-panel-content", "o2-panel-body");
+      renamed(window, "o2uk-expansion-panel-content", "o2-panel-body");
+    },
+  });
+  t.after(page.destroy);
+  const { window, document, vm } = page;
+  document.addEventListener("click", vm.onInjectedAccordionClick, true);
+
+  vm.inject("128GB");
+  assert.equal(vm.getAllTariffCols().length, 6);
+  const col = injectedCols(document)[0];
+  col.querySelector(".mat-expansion-panel-header").dispatchEvent(new window.MouseEvent("click", { bubbles: true }));
+  assert.equal(col.querySelector(".o2-panel-body").style.display, "block");
+});
@@ -0,0 +1,93 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, injectedCols, allowanceOf } = require("./support");
+
+function addUpfrontSelector(window) {
+  const box = window.document.createElement("o2uk-upfront-cost");
+  ["No upfront", "£30 upfront", "£100 upfront"].forEach((text, idx) => {
+    const btn = window.document.createElement("button");
+    btn.textContent = text;
+    btn.setAttribute("aria-pressed", String(idx === 1));
+    box.appendChild(btn);
+  });
+  window.document.body.prepend(box);
+}
+
+function pickUpfront(document, idx) {
+  document.querySelectorAll("o2uk-upfront-cost button").forEach((btn, i) => {
+    btn.setAttribute("aria-pressed", String(i === idx));
+  });
+}
+
+function prices(col) {
+  const text = (sel) => col.querySelector(sel).textContent.replace(/\s+/g, " ").trim();
+  return {
+    upfront: text(".new-tariff-price-block__prices_upfront .sr-only"),
+    monthly: text(".new-tariff-price-block__prices_monthly .sr-only"),
+  };
+}
+
+test("the selected upfront reprices injected cards from the tariff's matrix", (t) => {
+  const page = loadPage({ edit: addUpfrontSelector });
+  t.after(page.destroy);
+  const { document, vm } = page;
+
+  vm.inject("128GB");
+  assert.equal(vm.getSelectedUpfront(), 30);
+  assert.match(prices(injectedCols(document)[0]).monthly, /£38\.31 monthly/);
+
+  pickUpfront(document, 2);
+  vm.applyFromObserver();
+  const col = injectedCols(document)[0];
+  assert.equal(allowanceOf(col), "100GB");
+  assert.match(prices(col).upfront, /£100\.00/);
+  assert.match(prices(col).monthly, /£36\.37 monthly/); // 19.42 device + 16.95 airtime
+  assert.equal(page.window.vm02.debug.state().pricedUpfront, 100);
+});
+
+test("upfront-looking nodes inside a tariff card are not taken for O2's selector", (t) => {
+  const page = loadPage({
+    edit: (window) => {
+      const { document } = window;
+      const selector = document.createElement("div");
+      selector.className = "o2uk-upfront-selector";
+      selector.innerHTML =
+        '<button aria-pressed="false">No upfront</button><button aria-pressed="true">£30 upfront</button>';
+      document.body.prepend(selector);
+      const inCard = document.createElement("div");
+      inCard.setAttribute("data-qa", "card-upfront");
+      inCard.innerHTML = '<span aria-pressed="true">£100 upfront</span>';
+      document.querySelector("o2uk-commercial-tariff-card").prepend(inCard);
+    },
+  });
+  t.after(page.destroy);
+
+  assert.equal(page.vm.getSelectedUpfront(), 30);
+});
+
+test("an observer pass after a clean injection is not counted as a re-inject", (t) => {
+  const page = loadPage({ edit: addUpfrontSelector });
+  t.after(page.destroy);
+  const { document, vm } = page;
+
+  vm.inject("128GB");
+  const cols = injectedCols(document);
+  vm.applyFromObserver();
+
+  assert.deepEqual(injectedCols(document), cols);
+  const timeline = [...page.window.vm02.debug.state().timeline];
+  assert.deepEqual(timeline.map((e) => e.reinjected), [false]);
+});
+
+test("a matrix without the tariff's own upfront at its device price is rejected", (t) => {
+  const page = loadPage();
+  t.after(page.destroy);
+  const { vm } = page;
+
+  const tariff = { allowance: "100GB", upfront: 30, monthly: 38.31, device: 21.36, airtime: 16.95 };
+  assert.deepEqual([...vm.validateTariff({ ...tariff, upfronts: { 30: 21.36, 100: 18.44 } })], []);
+  assert.match(vm.validateTariff({ ...tariff, upfronts: { 0: 24.69 } }).join(), /default upfront £30\.00/);
+  assert.match(vm.validateTariff({ ...tariff, upfronts: { 30: 21.99 } }).join(), /!= device £21\.36/);
+});